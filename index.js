@@ -1,19 +1,34 @@
 require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
 const express = require("express");
 const axios = require("axios");
+const promClient = require("prom-client");
+const swaggerUiDist = require("swagger-ui-dist");
 const app = express();
 
 // --- Zmienne środowiskowe ---
 const PORT = process.env.PORT || 3000;
 const BASE = process.env.AIRTABLE_BASE_ID;
-const MAIN = process.env.AIRTABLE_TABLE_NAME; // Nazwa tabeli głównej (np. Poland)
-const CATS = process.env.AIRTABLE_CATEGORIES_TABLE_NAME; // Nazwa tabeli z kategoriami
+const MAIN = process.env.AIRTABLE_TABLE_NAME || "Poland"; // Nazwa tabeli głównej (np. Poland)
+const CATS = process.env.AIRTABLE_CATEGORIES_TABLE_NAME || "Categories"; // Nazwa tabeli z kategoriami
 const KEY = process.env.AIRTABLE_API_KEY;
-const META = process.env.AIRTABLE_METADATA_TABLE_NAME;
+const META = process.env.AIRTABLE_METADATA_TABLE_NAME || "Metadata";
 const PRIV = process.env.PRIVATE_API_KEY; // Klucz do prywatnych endpointów
 const CONTENT_HUBS_TABLE = "Content hubs"; // Nazwa tabeli Content hubs
 const COMMENT_TABLE = "Comment"; // Nazwa tabeli z komentarzami
 const DIVISIONS_TABLE = "Divisions"; // NOWE: Nazwa tabeli Divisions
+const DATA_SOURCE = (process.env.DATA_SOURCE || "airtable").toLowerCase(); // "airtable" albo "local"
+const LOCAL_DATA_DIR = process.env.LOCAL_DATA_DIR || path.join(__dirname, "fixtures"); // Katalog z plikami JSON dla trybu "local"
+// Limity Airtable: ok. 5 zapytań na sekundę na bazę
+const AIRTABLE_MAX_CONCURRENT = Number(process.env.AIRTABLE_MAX_CONCURRENT) || 5;
+const AIRTABLE_MAX_REQUESTS_PER_SECOND = Number(process.env.AIRTABLE_MAX_REQUESTS_PER_SECOND) || 5;
+const AIRTABLE_MAX_RETRIES = Number(process.env.AIRTABLE_MAX_RETRIES ?? 5);
+const AIRTABLE_RETRY_BASE_DELAY_MS = Number(process.env.AIRTABLE_RETRY_BASE_DELAY_MS) || 500;
+const AIRTABLE_RETRY_MAX_DELAY_MS = 30 * 1000;
+const AIRTABLE_TIMEOUT_MS = Number(process.env.AIRTABLE_TIMEOUT_MS) || 15 * 1000;
 
 // Lista dwuliterowych kodów języków
 const LANGUAGES = [
@@ -22,794 +37,2489 @@ const LANGUAGES = [
   "PL", "HU", "GR", "RO", "BG", "EN"
 ];
 
-// --- ZARZĄDZANIE CACHEM Z TTL (Time-To-Live) ---
-let categoryMapCache = null;
-let contentHubsCache = null;
-let commentMapCache = null; // Cache dla komentarzy
-let divisionsCache = null; // NOWE: Cache dla Divisions
-let cacheLastLoaded = 0;
-const CACHE_TTL_MS = 60 * 60 * 1000; // 1 godzina (w milisekundach)
+// --- JĘZYKI (kody BCP 47, Accept-Language, łańcuchy zastępcze) ---
+// Sufiks pól (TitleCZ, DataUA, ...) → kod ISO 639-1 używany w ?lang i Content-Language
+const LANGUAGE_TAGS = {
+  FR: "fr", CZ: "cs", SK: "sk", IT: "it", CN: "zh", JP: "ja", SI: "sl", LT: "lt", LV: "lv", FI: "fi",
+  UA: "uk", PT: "pt", VN: "vi", DE: "de", NL: "nl", TR: "tr", EE: "et", RS: "sr", HR: "hr", ES: "es",
+  PL: "pl", HU: "hu", GR: "el", RO: "ro", BG: "bg", EN: "en"
+};
+const LANGUAGE_BY_TAG = Object.fromEntries(Object.entries(LANGUAGE_TAGS).map(([suffix, tag]) => [tag, suffix]));
+const DEFAULT_LANGUAGE = "EN";
 
 /**
- * Helper: Sprawdza, czy cache jest aktualny.
+ * Helper: Maps a language code to its field suffix: BCP 47 tags ("cs", "zh-Hant-TW", "pt_BR")
+ * by their primary subtag, and the internal suffixes themselves ("CZ", "ua"). Returns null
+ * for unsupported codes.
  */
-function isCacheFresh() {
-    return (Date.now() - cacheLastLoaded) < CACHE_TTL_MS;
+function normalizeLanguage(code) {
+  if (typeof code !== "string") return null;
+  const value = code.trim();
+  if (LANGUAGES.includes(value.toUpperCase())) return value.toUpperCase();
+  return LANGUAGE_BY_TAG[value.split(/[-_]/)[0].toLowerCase()] || null;
 }
 
 /**
- * Helper: Fetches all categories into a map { id -> fields }.
- * Caches the result and refreshes it if it's stale.
+ * Helper: Parses fallback chains such as "sk>cs,uk>pl,hr>sr>sl" into { SK: ["CZ"], ... }.
+ * Unsupported codes are skipped. English closes every chain anyway (see getLanguageChain).
  */
-async function loadAllCategories() {
-  if (categoryMapCache && isCacheFresh()) {
-    return categoryMapCache;
+function parseLanguageFallbacks(spec) {
+  const fallbacks = {};
+  for (const chain of String(spec || "").split(",")) {
+    const [lang, ...rest] = chain.split(">").map(normalizeLanguage);
+    if (lang) fallbacks[lang] = rest.filter(Boolean);
   }
+  return fallbacks;
+}
 
-  console.log("[INFO] Cache stale or empty. Fetching all categories from Airtable...");
-  let map = {};
-  let offset = null;
-  do {
-    try {
-      const r = await axios.get(
-        `https://api.airtable.com/v0/${BASE}/${CATS}`, {
-          headers: {
-            Authorization: `Bearer ${KEY}`
-          },
-          params: {
-            offset,
-            pageSize: 100
-          }
-        }
-      );
-      r.data.records.forEach(rec => {
-        map[rec.id] = rec.fields;
-      });
-      offset = r.data.offset;
-    } catch (error) {
-      console.error("[ERROR] Failed to fetch categories from Airtable:", error.message);
-      throw error;
-    }
-  } while (offset);
+// Języki zastępcze, gdy pole nie ma tłumaczenia (np. SK→CZ→EN, UA→PL→EN); LANGUAGE_FALLBACKS nadpisuje całość
+const LANGUAGE_FALLBACKS = parseLanguageFallbacks(
+  process.env.LANGUAGE_FALLBACKS ?? "sk>cs,cs>sk,uk>pl,hr>sr>sl,sr>hr,sl>hr"
+);
 
-  categoryMapCache = map;
-  cacheLastLoaded = Date.now();
-  console.log(`[INFO] Loaded ${Object.keys(map).length} categories. Cache updated.`);
-  return map;
+/** Helper: Returns the languages tried for `lang`, in order: itself, its fallbacks, then English. */
+function getLanguageChain(lang) {
+  return [...new Set([lang, ...(LANGUAGE_FALLBACKS[lang] || []), DEFAULT_LANGUAGE])];
 }
 
 /**
- * Helper: Fetches all content hubs and caches them in a map.
- * The map uses the primary field value (e.g., Polish title) as the key
- * to allow for fast lookups. Refreshes if cache is stale.
+ * Helper: Picks the supported language with the highest weight from an Accept-Language header
+ * ("uk-UA,uk;q=0.9,en;q=0.5" → "UA"). Returns null when none of the languages is supported.
  */
-async function loadAllContentHubs() {
-    if (contentHubsCache && isCacheFresh()) {
-        return contentHubsCache;
-    }
-
-    console.log("[INFO] Cache stale or empty. Fetching all content hubs from Airtable...");
-    let map = {};
-    let offset = null;
-    do {
-        try {
-            const r = await axios.get(
-                `https://api.airtable.com/v0/${BASE}/${encodeURIComponent(CONTENT_HUBS_TABLE)}`,
-                {
-                    headers: { Authorization: `Bearer ${KEY}` },
-                    params: { offset, pageSize: 100 }
-                }
-            );
-            r.data.records.forEach(rec => {
-                if (rec.fields.Title) { // Używamy wartości z pola 'Title' (primary field) jako klucza mapy.
-                    map[rec.fields.Title] = { ...rec.fields, id: rec.id };
-                }
-            });
-            offset = r.data.offset;
-        } catch (error) {
-            console.error("[ERROR] Failed to fetch content hubs from Airtable:", error.message);
-            throw error;
-        }
-    } while (offset);
+function negotiateAcceptLanguage(header) {
+  if (!header) return null;
+  const ranges = header.split(",")
+    .map((part, index) => {
+      const [range, ...params] = part.trim().split(";");
+      const qParam = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      const q = qParam ? Number(qParam.slice(2)) : 1;
+      return { lang: normalizeLanguage(range), q: isNaN(q) ? 0 : q, index };
+    })
+    .filter(r => r.lang && r.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  return ranges.length > 0 ? ranges[0].lang : null;
+}
 
-    contentHubsCache = map;
-    cacheLastLoaded = Date.now(); // Aktualizujemy timestamp załadowania cache
-    console.log(`[INFO] Loaded ${Object.keys(map).length} content hubs. Cache updated.`);
-    return contentHubsCache;
+/** Helper: Resolves the language of a request: `?lang=` first, then Accept-Language, then English. */
+function resolveRequestLanguage(req) {
+  if (req.query.lang !== undefined) return normalizeLanguage(req.query.lang) || DEFAULT_LANGUAGE;
+  return negotiateAcceptLanguage(req.get("Accept-Language")) || DEFAULT_LANGUAGE;
 }
 
 /**
- * NOWA FUNKCJA POMOCNICZA: Fetches all comments into a map { id -> fields }.
- * Caches the result and refreshes it if it's stale.
+ * Helper: Looks a localized field up along the fallback chain of `lang` (`${name}${suffix}`;
+ * `englishKey` covers fields whose English version has no suffix, e.g. "Secondary").
+ * Returns { value, lang } for the first non-empty value, or null. The language found is
+ * recorded for the Content-Language header of the current response.
  */
-async function loadAllComments() {
-    if (commentMapCache && isCacheFresh()) {
-        return commentMapCache;
+function findLocalized(fields, name, lang, englishKey = `${name}EN`) {
+  if (!fields) return null;
+  for (const candidate of getLanguageChain(lang)) {
+    const value = fields[candidate === DEFAULT_LANGUAGE ? englishKey : `${name}${candidate}`];
+    const empty = value === undefined || value === null || (Array.isArray(value) ? value.length === 0 : String(value).trim() === "");
+    if (!empty) {
+      const context = requestContext.getStore();
+      if (context) context.servedLanguages.add(candidate);
+      return { value, lang: candidate };
     }
+  }
+  return null;
+}
 
-    console.log("[INFO] Cache stale or empty. Fetching all comments from Airtable...");
-    let map = {};
-    let offset = null;
-    do {
-        try {
-            const r = await axios.get(
-                `https://api.airtable.com/v0/${BASE}/${COMMENT_TABLE}`,
-                {
-                    headers: { Authorization: `Bearer ${KEY}` },
-                    params: { offset, pageSize: 100 }
-                }
-            );
-            r.data.records.forEach(rec => {
-                map[rec.id] = rec.fields;
-            });
-            offset = r.data.offset;
-        } catch (error) {
-            console.error(`[ERROR] Failed to fetch comments from Airtable table '${COMMENT_TABLE}':`, error.message);
-            throw error;
-        }
-    } while (offset);
-
-    commentMapCache = map;
-    cacheLastLoaded = Date.now();
-    console.log(`[INFO] Loaded ${Object.keys(map).length} comments. Cache updated.`);
-    return commentMapCache;
+/** Helper: Like findLocalized, but returns only the value (undefined when no language has it). */
+function pickLocalized(fields, name, lang, englishKey) {
+  const found = findLocalized(fields, name, lang, englishKey);
+  return found ? found.value : undefined;
 }
 
+// --- LOGOWANIE (JSON, jedna linia na wpis) ---
+// Poziom ustawiany przez LOG_LEVEL: debug, info (domyślnie), warn, error albo silent.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVEL = LOG_LEVELS[(process.env.LOG_LEVEL || "").toLowerCase()] ? (process.env.LOG_LEVEL || "").toLowerCase() : "info";
+
+// Kontekst bieżącego żądania: requestId, liczba zapytań do upstreamu,
+// tabele serwowane z przeterminowanego cache
+const requestContext = new AsyncLocalStorage();
+
 /**
- * NOWA FUNKCJA POMOCNICZA: Fetches all divisions into a map { id -> fields }.
- * Caches the result and refreshes it if it's stale.
+ * Helper: Writes a structured JSON log line. The current request ID (if any) is added
+ * automatically; errors are passed as the `err` field and logged by message/status.
  */
-async function loadAllDivisions() {
-    if (divisionsCache && isCacheFresh()) {
-        return divisionsCache;
+function writeLog(level, msg, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+    const entry = { time: new Date().toISOString(), level, msg };
+    const context = requestContext.getStore();
+    if (context) entry.requestId = context.requestId;
+    for (const [key, value] of Object.entries(fields)) {
+        entry[key] = value instanceof Error
+            ? { name: value.name, message: value.message, status: value.upstreamStatus || value.response?.status }
+            : value;
     }
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
 
-    console.log("[INFO] Cache stale or empty. Fetching all divisions from Airtable...");
-    let map = {};
-    let offset = null;
-    
-    try {
-        do {
-            console.log(`[DEBUG:loadAllDivisions] Attempting to fetch from table: ${DIVISIONS_TABLE}`);
-            const r = await axios.get(
-                `https://api.airtable.com/v0/${BASE}/${encodeURIComponent(DIVISIONS_TABLE)}`,
-                {
-                    headers: { Authorization: `Bearer ${KEY}` },
-                    params: { offset, pageSize: 100 }
-                }
-            );
-            r.data.records.forEach(rec => {
-                map[rec.id] = rec.fields;
-            });
-            offset = r.data.offset;
-        } while (offset);
+const log = {
+    debug: (msg, fields) => writeLog("debug", msg, fields),
+    info: (msg, fields) => writeLog("info", msg, fields),
+    warn: (msg, fields) => writeLog("warn", msg, fields),
+    error: (msg, fields) => writeLog("error", msg, fields)
+};
 
-        divisionsCache = map;
-        cacheLastLoaded = Date.now();
-        console.log(`[INFO] Loaded ${Object.keys(map).length} divisions. Cache updated.`);
-        return divisionsCache;
-    } catch (error) {
-        console.error(`[ERROR] Failed to fetch divisions from Airtable table '${DIVISIONS_TABLE}':`, error.message);
-        console.error(`[ERROR] Full error details:`, error.response?.data || error);
-        console.error(`[ERROR] Status code:`, error.response?.status);
-        console.error(`[ERROR] Base ID: ${BASE}, Table: ${DIVISIONS_TABLE}`);
-        
-        // Return empty map instead of throwing error to prevent API crashes
-        console.warn(`[WARN] Returning empty divisions cache due to error. API will continue without divisions data.`);
-        divisionsCache = {};
-        cacheLastLoaded = Date.now();
-        return divisionsCache;
-    }
+/**
+ * Helper: Counts an upstream call against the current request (for the access log)
+ * and returns its request ID, or null outside of a request.
+ */
+function trackUpstreamCall() {
+    const context = requestContext.getStore();
+    if (!context) return null;
+    context.upstreamCalls++;
+    return context.requestId;
 }
 
+// --- METRYKI (Prometheus, endpoint /metrics) ---
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const metrics = {
+    httpRequestDuration: new promClient.Histogram({
+        name: "http_request_duration_seconds",
+        help: "Duration of HTTP requests handled by the API, by route",
+        labelNames: ["method", "route", "status"],
+        buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+        registers: [metricsRegistry]
+    }),
+    airtableRequests: new promClient.Counter({
+        name: "airtable_requests_total",
+        help: "Airtable HTTP requests (every attempt, including retries), by table and status",
+        labelNames: ["table", "status"],
+        registers: [metricsRegistry]
+    }),
+    airtableErrors: new promClient.Counter({
+        name: "airtable_request_errors_total",
+        help: "Failed Airtable HTTP requests, by table and reason (HTTP status or network error code)",
+        labelNames: ["table", "reason"],
+        registers: [metricsRegistry]
+    }),
+    airtableRequestDuration: new promClient.Histogram({
+        name: "airtable_request_duration_seconds",
+        help: "Duration of Airtable HTTP requests, by table",
+        labelNames: ["table"],
+        buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+        registers: [metricsRegistry]
+    }),
+    cacheRequests: new promClient.Counter({
+        name: "cache_requests_total",
+        help: "Table cache reads, by table and result (hit, stale, miss)",
+        labelNames: ["table", "result"],
+        registers: [metricsRegistry]
+    }),
+    cacheLoadErrors: new promClient.Counter({
+        name: "cache_load_errors_total",
+        help: "Failed table cache loads, by table",
+        labelNames: ["table"],
+        registers: [metricsRegistry]
+    }),
+    cacheRefreshDuration: new promClient.Histogram({
+        name: "cache_refresh_duration_seconds",
+        help: "Duration of the periodic refresh of all table caches (refreshAllCaches)",
+        buckets: [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+        registers: [metricsRegistry]
+    })
+};
+
+// --- ŹRÓDŁO DANYCH (Airtable albo lokalne pliki JSON) ---
+// Wszystkie loadery i endpointy czytają tabele wyłącznie przez obiekt `dataSource`.
+// Każda implementacja udostępnia ten sam interfejs:
+//   listRecords(table, { view, where, pageSize }) -> [{ id, createdTime, fields }]
+//   getRecord(table, recordId)                    -> { id, createdTime, fields } | null
+//   listTables()                                  -> [{ name, fields: [{ name, type }], views: [{ id, name, type }] }]
+// `where` to lista warunków łączonych przez AND:
+//   { field, equals }, { field, equalsIgnoreCase }, { field, includes }, { recordIds: [...] }
+
 /**
- * NOWA FUNKCJA POMOCNICZA: Gets divisions linked to a main record.
- * Returns an array of division records that are linked to the given main record.
+ * Helper: Quotes a value for use inside an Airtable formula.
  */
-async function getLinkedDivisions(mainRecordId) {
-    const allDivisions = await loadAllDivisions();
-    const linkedDivisions = [];
-    
-    for (const divisionId in allDivisions) {
-        const divisionFields = allDivisions[divisionId];
-        
-        // Try multiple possible field names for linking to main table
-        const possibleLinkingFields = [
-            'linkedto', 'LinkedTo', 'MainRecord', 'Main', 'Poland', 'ParentRecord',
-            'linkedto', 'Linked To', 'Main Record', 'Parent Record', 'Poland Record'
-        ];
-        
-        let linkedToMain = null;
-        for (const fieldName of possibleLinkingFields) {
-            if (divisionFields[fieldName]) {
-                linkedToMain = divisionFields[fieldName];
-                break;
-            }
-        }
-        
-        if (Array.isArray(linkedToMain) && linkedToMain.includes(mainRecordId)) {
-            linkedDivisions.push({
-                id: divisionId,
-                fields: divisionFields
-            });
-        }
-    }
-    
-    return linkedDivisions;
+function toFormulaLiteral(value) {
+    if (typeof value === "number") return String(value);
+    return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
 }
 
 /**
- * NOWA FUNKCJA POMOCNICZA: Unifies AI comments from main record and its linked divisions.
- * Returns an array of all AI comments for a given language.
+ * Helper: Translates a `where` condition list into an Airtable filterByFormula string.
  */
-async function getUnifiedAIComments(mainRecord, lang) {
-    const aiCommentKey = `AIComment${lang}`;
-    const comments = [];
-    
-    // Get comments from main record
-    const allComments = await loadAllComments();
-    const linkedCommentRecordIds = mainRecord.fields.Comment;
-    
-    if (Array.isArray(linkedCommentRecordIds) && linkedCommentRecordIds.length > 0) {
-        const commentRecordId = linkedCommentRecordIds[0];
-        const commentFields = allComments[commentRecordId];
-        if (commentFields) {
-            const commentText = commentFields[aiCommentKey] || commentFields.AICommentEN;
-            if (commentText && commentText.trim()) {
-                comments.push({
-                    source: 'main',
-                    comment: commentText
-                });
-            }
+function buildAirtableFormula(where) {
+    const parts = (where || []).map(cond => {
+        if (cond.recordIds) {
+            return `OR(${cond.recordIds.map(id => `RECORD_ID() = ${toFormulaLiteral(id)}`).join(",")})`;
         }
-    }
-    
-    // Get comments from linked divisions
-    const linkedDivisions = await getLinkedDivisions(mainRecord.id);
-    for (const division of linkedDivisions) {
-        const divisionCommentIds = division.fields.Comment;
-        if (Array.isArray(divisionCommentIds) && divisionCommentIds.length > 0) {
-            const commentRecordId = divisionCommentIds[0];
-            const commentFields = allComments[commentRecordId];
-            if (commentFields) {
-                const commentText = commentFields[aiCommentKey] || commentFields.AICommentEN;
-                if (commentText && commentText.trim()) {
-                    comments.push({
-                        source: 'division',
-                        divisionId: division.id,
-                        comment: commentText
-                    });
-                }
-            }
+        if (cond.equalsIgnoreCase !== undefined) {
+            return `LOWER({${cond.field}}) = ${toFormulaLiteral(String(cond.equalsIgnoreCase).toLowerCase())}`;
         }
-    }
-    
-    return comments;
+        if (cond.includes !== undefined) {
+            return `FIND(${toFormulaLiteral(cond.includes)}, ARRAYJOIN({${cond.field}}))`;
+        }
+        return `{${cond.field}} = ${toFormulaLiteral(cond.equals)}`;
+    });
+    if (parts.length === 0) return "";
+    return parts.length === 1 ? parts[0] : `AND(${parts.join(",")})`;
 }
 
 /**
- * NOWA FUNKCJA POMOCNICZA: Gets unified data from main record and its divisions.
- * Returns an object with main data and additional division data.
+ * Helper: Evaluates a `where` condition list against a record in memory.
+ * Mirrors the semantics of buildAirtableFormula for the local data source.
  */
-async function getUnifiedData(mainRecord, lang) {
-    const titleKey = `Title${lang}`;
-    const descKey = `Description${lang}`;
-    const dataKey = `Data${lang}`;
-    
-    const unifiedData = {
-        main: {
-            id: mainRecord.fields.DataID || mainRecord.id,
-            title: mainRecord.fields[titleKey] || mainRecord.fields.Title || mainRecord.fields.TitleEN || "",
-            description: mainRecord.fields[descKey] || mainRecord.fields.DescriptionEN || "",
-            data: mainRecord.fields[dataKey] || mainRecord.fields.DataEN || "",
-            lastUpdate: mainRecord.fields.UpdatedThere || "",
-            nextUpdateTime: mainRecord.fields.NextUpdateTime || "",
-            updateFrequency: mainRecord.fields.UpdateFrequency || ""
-        },
-        divisions: []
-    };
-    
-    // Get linked divisions
-    const linkedDivisions = await getLinkedDivisions(mainRecord.id);
-    for (const division of linkedDivisions) {
-        const divisionData = {
-            id: division.id,
-            title: division.fields[titleKey] || division.fields.Title || division.fields.TitleEN || "",
-            description: division.fields[descKey] || division.fields.DescriptionEN || "",
-            data: division.fields[dataKey] || division.fields.DataEN || "",
-            category: division.fields.Category || null,
-            country: division.fields.Country || null,
-            contentHub: division.fields['Content hub'] || null
-        };
-        unifiedData.divisions.push(divisionData);
-    }
-    
-    return unifiedData;
+function recordMatchesWhere(record, where) {
+    return (where || []).every(cond => {
+        if (cond.recordIds) return cond.recordIds.includes(record.id);
+        const value = record.fields[cond.field];
+        const values = Array.isArray(value) ? value : [value];
+        if (cond.equalsIgnoreCase !== undefined) {
+            const expected = String(cond.equalsIgnoreCase).toLowerCase();
+            return values.some(v => v !== undefined && v !== null && String(v).toLowerCase() === expected);
+        }
+        if (cond.includes !== undefined) {
+            return values.some(v => v !== undefined && v !== null && String(v).includes(cond.includes));
+        }
+        return values.some(v => v === cond.equals || (v !== undefined && v !== null && String(v) === String(cond.equals)));
+    });
 }
 
-// --- MIDDLEWARE (dla endpointów, które tego wymagają) ---
-// Middleware do sprawdzania prywatnego klucza API
-const requireApiKey = (req, res, next) => {
-    if (req.headers["x-api-key"] !== PRIV) {
-        return res.status(403).json({ error: "Forbidden: invalid API key" });
-    }
-    next();
-};
+// --- KLIENT AIRTABLE (limit zapytań, ponawianie z backoffem) ---
 
 /**
- * Helper: Converts country param to Airtable view name or ID for API requests.
+ * Error raised when the upstream data source keeps failing after all retries.
+ * `status` is the HTTP status the API responds with (503 for transient failures).
  */
-function getCountryViewId(countryParam) {
-    const lowerCaseCountry = countryParam.toLowerCase();
-    if (lowerCaseCountry === 'eu') {
-        const viewId = process.env.AIRTABLE_EU_VIEW_ID || 'European Union';
-        return viewId;
-    } else if (lowerCaseCountry === 'poland') {
-        const viewId = process.env.AIRTABLE_POLAND_VIEW_ID || 'Poland';
-        return viewId;
-    } else {
-        const viewId = countryParam.charAt(0).toUpperCase() + countryParam.slice(1);
-        return viewId;
+class UpstreamError extends Error {
+    constructor(message, { status = 502, upstreamStatus = null, cause } = {}) {
+        super(message);
+        this.name = "UpstreamError";
+        this.status = status;
+        this.upstreamStatus = upstreamStatus;
+        this.cause = cause;
     }
 }
 
 /**
- * Helper: Converts country param to the country name for local filtering.
+ * Helper: Limits how many upstream requests run at once and how many start per second.
+ * `schedule(fn)` queues `fn` and resolves with its result once a slot is free.
  */
-function getCountryNameForFiltering(countryParam) {
-    const lowerCaseCountry = countryParam.toLowerCase();
-    if (lowerCaseCountry === 'eu') {
-        return 'European Union';
-    } else if (lowerCaseCountry === 'poland') {
-        return 'Poland';
-    } else {
-        return countryParam.charAt(0).toUpperCase() + countryParam.slice(1);
-    }
-}
+function createRateLimiter({ maxConcurrent, maxPerSecond }) {
+    const queue = [];
+    const startedAt = [];
+    let active = 0;
+    let timer = null;
 
-/**
- * Helper: Fetches content hub record ID from its TitleEN.
- */
-async function getContentHubId(hubTitle) {
-    if (!hubTitle) return null;
-    const allContentHubs = await loadAllContentHubs();
-    for (const hubKey in allContentHubs) {
-        // Sprawdzamy zarówno TitleEN jak i polski Title (primary field) dla dopasowania
-        if (allContentHubs[hubKey].TitleEN && allContentHubs[hubKey].TitleEN.toLowerCase() === hubTitle.toLowerCase()) {
-            return allContentHubs[hubKey].id;
+    const drain = () => {
+        while (queue.length > 0 && active < maxConcurrent) {
+            const now = Date.now();
+            while (startedAt.length > 0 && now - startedAt[0] >= 1000) startedAt.shift();
+            if (startedAt.length >= maxPerSecond) {
+                if (!timer) {
+                    timer = setTimeout(() => {
+                        timer = null;
+                        drain();
+                    }, 1000 - (now - startedAt[0]));
+                }
+                return;
+            }
+            const job = queue.shift();
+            active++;
+            startedAt.push(now);
+            Promise.resolve()
+                .then(job.fn)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    active--;
+                    drain();
+                });
         }
-        if (allContentHubs[hubKey].Title && allContentHubs[hubKey].Title.toLowerCase() === hubTitle.toLowerCase()) {
-            return allContentHubs[hubKey].id;
+    };
+
+    return {
+        schedule(fn) {
+            return new Promise((resolve, reject) => {
+                queue.push({ fn, resolve, reject });
+                drain();
+            });
         }
-    }
-    return null;
+    };
 }
 
 /**
- * Znajduje ID kategorii na podstawie nazwy i kraju.
- * Wykorzystuje buforowane dane.
+ * Helper: Whether a failed upstream request is worth retrying
+ * (rate limiting, server errors and network failures).
  */
-async function getCategoryIdByName(categoryName, countryName) {
-    const categoriesMap = await loadAllCategories();
-    const normalizedCategoryName = categoryName.toLowerCase().trim();
-    const normalizedCountryName = countryName.toLowerCase().trim();
-    
-    for (const id in categoriesMap) {
-        const fields = categoriesMap[id];
-        // Używamy SecondaryEN jako nazwy kategorii i TitleEN jako nazwy kraju
-        const secondaryEN = (Array.isArray(fields.SecondaryEN) ? fields.SecondaryEN[0] : fields.SecondaryEN) || '';
-        const titleEN = (Array.isArray(fields.TitleEN) ? fields.TitleEN[0] : fields.TitleEN) || '';
+function isRetryableUpstreamError(error) {
+    const status = error.response?.status;
+    if (!status) return true;
+    return status === 429 || status >= 500;
+}
 
-        if (secondaryEN.toLowerCase().trim() === normalizedCategoryName && titleEN.toLowerCase().trim() === normalizedCountryName) {
-            return id;
-        }
+/**
+ * Helper: Delay before the next retry. Honors the Retry-After header
+ * (seconds or HTTP date), otherwise exponential backoff with jitter.
+ */
+function getRetryDelayMs(error, attempt) {
+    const retryAfter = error.response?.headers?.["retry-after"];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (delay >= 0) return Math.min(delay, AIRTABLE_RETRY_MAX_DELAY_MS);
     }
-    return null;
+    const backoff = AIRTABLE_RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return Math.min(backoff + Math.random() * AIRTABLE_RETRY_BASE_DELAY_MS, AIRTABLE_RETRY_MAX_DELAY_MS);
 }
 
-// --- PUBLIC ENDPOINTS ---
+/**
+ * Helper: Airtable client for a single base. Every GET goes through the base-wide
+ * rate limiter and is retried on 429/5xx/network errors. Errors that survive all
+ * retries are rethrown as UpstreamError.
+ */
+function createAirtableClient({ apiKey }) {
+    const limiter = createRateLimiter({
+        maxConcurrent: AIRTABLE_MAX_CONCURRENT,
+        maxPerSecond: AIRTABLE_MAX_REQUESTS_PER_SECOND
+    });
+    const headers = { Authorization: `Bearer ${apiKey}` };
 
-app.get("/countries", async (req, res) => {
-    console.log(`[ENDPOINT] /countries requested.`);
-    try {
-        const allCategories = await loadAllCategories();
-        const countriesSet = new Set();
+    const timedGet = (url, params, table) => limiter.schedule(async () => {
+        const requestId = trackUpstreamCall();
+        const requestHeaders = requestId ? { ...headers, "X-Request-Id": requestId } : headers;
+        const startedAt = Date.now();
+        const endTimer = metrics.airtableRequestDuration.startTimer({ table });
+        try {
+            const response = await axios.get(url, { headers: requestHeaders, params, timeout: AIRTABLE_TIMEOUT_MS });
+            metrics.airtableRequests.inc({ table, status: response.status });
+            log.debug("airtable request", { table, status: response.status, durationMs: Date.now() - startedAt });
+            return response;
+        } catch (error) {
+            const reason = error.response?.status || error.code || "error";
+            metrics.airtableRequests.inc({ table, status: error.response?.status || "error" });
+            metrics.airtableErrors.inc({ table, reason });
+            log.debug("airtable request failed", { table, status: reason, durationMs: Date.now() - startedAt });
+            throw error;
+        } finally {
+            endTimer();
+        }
+    });
 
-        for (const id in allCategories) {
-            const fields = allCategories[id];
-            const countryName = Array.isArray(fields.TitleEN) ? fields.TitleEN[0] : fields.TitleEN;
-            if (countryName) {
-                countriesSet.add(countryName);
+    return {
+        async get(url, params, { table = "unknown" } = {}) {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await timedGet(url, params, table);
+                } catch (error) {
+                    const status = error.response?.status || null;
+                    const retryable = isRetryableUpstreamError(error);
+                    if (retryable && attempt < AIRTABLE_MAX_RETRIES) {
+                        const delay = getRetryDelayMs(error, attempt);
+                        log.warn("airtable request failed, retrying", {
+                            table,
+                            status: status || error.code || error.message,
+                            retryInMs: Math.round(delay),
+                            attempt: attempt + 1,
+                            maxRetries: AIRTABLE_MAX_RETRIES
+                        });
+                        await new Promise(resolve => setTimeout(resolve, delay));
+                        continue;
+                    }
+                    throw new UpstreamError(
+                        retryable
+                            ? `Upstream data source is temporarily unavailable (${status || error.code || "network error"}).`
+                            : `Upstream data source rejected the request (${status}).`,
+                        { status: retryable ? 503 : 502, upstreamStatus: status, cause: error }
+                    );
+                }
             }
         }
-        
-        const countries = Array.from(countriesSet).sort();
-        res.json({ count: countries.length, countries });
+    };
+}
 
-    } catch (e) {
-        res.status(500).json({ error: e.toString() });
-    }
-});
+/**
+ * Data source backed by the Airtable REST API.
+ */
+function createAirtableDataSource({ baseId, apiKey }) {
+    const tableUrl = table => `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}`;
+    const client = createAirtableClient({ apiKey });
 
-// ZAKTUALIZOWANY ENDPOINT: /datasets - teraz zawiera dane z obu tabel
-app.get("/datasets", async (req, res) => {
-    const lang = (req.query.lang || "EN").toUpperCase();
-    const titleKey = `Title${lang}`;
-    const descKey = `Description${lang}`;
-    const country = req.query.country;
-    const category = req.query.category;
-    const contentHub = req.query.contentHub;
+    return {
+        name: "airtable",
+        baseId,
 
-    console.log(`[ENDPOINT] /datasets requested. Lang: ${lang}, Country: ${country}, Category: ${category}, ContentHub: ${contentHub}`);
+        async listRecords(table, { view, where, pageSize = 100 } = {}) {
+            const filterByFormula = buildAirtableFormula(where);
+            const records = [];
+            let offset = null;
+            do {
+                const params = { pageSize, offset };
+                if (view) params.view = view;
+                if (filterByFormula) params.filterByFormula = filterByFormula;
+                const r = await client.get(tableUrl(table), params, { table });
+                records.push(...r.data.records);
+                offset = r.data.offset;
+            } while (offset);
+            return records;
+        },
 
-    try {
-        let filterParts = [];
-        let viewId = MAIN;
+        async getRecord(table, recordId) {
+            try {
+                const r = await client.get(`${tableUrl(table)}/${recordId}`, undefined, { table });
+                return r.data;
+            } catch (error) {
+                if (error.upstreamStatus === 404) return null;
+                throw error;
+            }
+        },
 
-        if (country) {
-            viewId = getCountryViewId(country);
+        async listTables() {
+            const r = await client.get(`https://api.airtable.com/v0/meta/bases/${baseId}/tables`, undefined, { table: "meta" });
+            return r.data.tables;
         }
+    };
+}
 
-        if (category) {
-            const countryForCatLookup = country ? getCountryNameForFiltering(country) : 'Poland';
-            const categoryId = await getCategoryIdByName(category, countryForCatLookup);
-            if (categoryId) {
-                filterParts.push(`{CategorySelect} = "${categoryId}"`);
-            } else {
-                return res.status(404).json({ error: `Category "${category}" not found for country "${countryForCatLookup}".` });
-            }
+/**
+ * Data source backed by JSON fixture files, one per table: `<dir>/<table>.json`.
+ * A file holds either an array of `{ id, createdTime?, fields }` records or an object
+ * `{ records: [...], views: { "<view name>": ["<record id>", ...] } }`.
+ * Views that are not listed in the file return every record of the table.
+ */
+function createLocalDataSource({ dir }) {
+    const readTable = table => {
+        trackUpstreamCall();
+        const file = path.join(dir, `${table}.json`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Local table "${table}" not found (expected ${file})`);
         }
+        const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+        return Array.isArray(parsed) ? { records: parsed, views: {} } : { records: parsed.records || [], views: parsed.views || {} };
+    };
 
-        if (contentHub) {
-            const hubId = await getContentHubId(contentHub);
-            if (hubId) {
-                filterParts.push(`FIND("${hubId}", ARRAYJOIN({Content hubs in build}))`);
-            } else {
-                return res.status(404).json({ error: `Content hub "${contentHub}" not found.` });
-            }
-        }
-        
-        const filterFormula = filterParts.length > 0 ? `AND(${filterParts.join(',')})` : '';
+    return {
+        name: "local",
+        baseId: `local:${dir}`,
 
-        let allRecords = [], offset = null;
-        do {
-            const params = { pageSize: 100, offset };
-            if (viewId !== MAIN) {
-                params.view = viewId;
-            }
-            if (filterFormula) {
-                params.filterByFormula = filterFormula;
-            }
-            const r = await axios.get(
-                `https://api.airtable.com/v0/${BASE}/${MAIN}`,
-                { headers: { Authorization: `Bearer ${KEY}` }, params }
-            );
-            allRecords.push(...r.data.records);
-            offset = r.data.offset;
-        } while (offset);
+        async listRecords(table, { view, where } = {}) {
+            const { records, views } = readTable(table);
+            const viewIds = view && Array.isArray(views[view]) ? new Set(views[view]) : null;
+            return records
+                .filter(rec => !viewIds || viewIds.has(rec.id))
+                .filter(rec => recordMatchesWhere(rec, where))
+                .map(rec => ({ id: rec.id, createdTime: rec.createdTime, fields: { ...rec.fields } }));
+        },
 
-        if (allRecords.length === 0) {
-            return res.status(404).json({ error: `No records found for the given criteria in /datasets.` });
+        async getRecord(table, recordId) {
+            const rec = readTable(table).records.find(r => r.id === recordId);
+            return rec ? { id: rec.id, createdTime: rec.createdTime, fields: { ...rec.fields } } : null;
+        },
+
+        async listTables() {
+            return fs.readdirSync(dir)
+                .filter(file => file.endsWith(".json"))
+                .map(file => {
+                    const name = file.slice(0, -".json".length);
+                    const { records, views } = readTable(name);
+                    const fieldNames = new Set(records.flatMap(rec => Object.keys(rec.fields)));
+                    return {
+                        name,
+                        fields: Array.from(fieldNames).map(fieldName => ({ name: fieldName, type: "unknown" })),
+                        views: Object.keys(views).map(v => ({ id: v, name: v, type: "grid" }))
+                    };
+                });
         }
+    };
+}
 
-        const catMap = await loadAllCategories();
-        const items = allRecords
-            .filter(r => {
-                const isValidTitle = r.fields.Title && r.fields.Title.trim();
-                return isValidTitle;
-            })
-            .map(r => {
-                const f = r.fields;
-                
-                // Get category and country from CategorySelect
-                let catName = null;
-                let countryName = null;
-                const categorySelectIds = f.CategorySelect || [];
-                if (Array.isArray(categorySelectIds) && categorySelectIds.length) {
-                    const cf = catMap[categorySelectIds[0]];
-                    if (cf) {
-                        const key = lang === "EN" ? "Secondary" : `Secondary${lang}`;
-                        catName = cf[key] || cf["Secondary"] || null;
-                        // Get country from TitleEN field
-                        countryName = cf.TitleEN || null;
-                    }
-                }
-                
-                return {
-                    id: f.DataID || r.id,
-                    meta: {
-                        title: f[titleKey] || f.Title,
-                        description: f[descKey] || f.DescriptionEN || "",
-                        category: catName,
-                        country: countryName,
-                        lastUpdate: f.UpdatedThere || "",
-                        nextUpdateTime: f.NextUpdateTime || ""
-                    }
-                };
-            });
-        
-        items.sort((a, b) => new Date(b.meta.lastUpdate) - new Date(a.meta.lastUpdate));
-        
-        res.json({ count: items.length, items });
+const dataSource = DATA_SOURCE === "local"
+    ? createLocalDataSource({ dir: LOCAL_DATA_DIR })
+    : createAirtableDataSource({ baseId: BASE, apiKey: KEY });
 
-    } catch (e) {
-        res.status(500).json({ error: e.toString() });
+// --- ZARZĄDZANIE CACHEM Z TTL (Time-To-Live) ---
+// Każda tabela ma własny cache z osobnym TTL, czasem załadowania i odświeżaniem w tle
+// (stale-while-revalidate): przeterminowane dane są serwowane, dopóki nie przyjdą nowe.
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000; // 1 godzina (w milisekundach)
+const CACHE_TTL_MS = {
+    categories: Number(process.env.CACHE_TTL_CATEGORIES_MS) || DEFAULT_CACHE_TTL_MS,
+    contentHubs: Number(process.env.CACHE_TTL_CONTENT_HUBS_MS) || DEFAULT_CACHE_TTL_MS,
+    comments: Number(process.env.CACHE_TTL_COMMENTS_MS) || DEFAULT_CACHE_TTL_MS,
+    divisions: Number(process.env.CACHE_TTL_DIVISIONS_MS) || DEFAULT_CACHE_TTL_MS,
+    metadata: Number(process.env.CACHE_TTL_METADATA_MS) || DEFAULT_CACHE_TTL_MS,
+    main: Number(process.env.CACHE_TTL_MAIN_MS) || DEFAULT_CACHE_TTL_MS
+};
+// Zrzut cache na dysk: serwer startuje z ostatnio załadowanych danych i odświeża je w tle.
+// CACHE_SNAPSHOT_PATH=off wyłącza zrzut.
+const CACHE_SNAPSHOT_PATH = process.env.CACHE_SNAPSHOT_PATH || path.join(__dirname, ".cache", "snapshot.json");
+const CACHE_SNAPSHOT_ENABLED = CACHE_SNAPSHOT_PATH.toLowerCase() !== "off";
+const CACHE_SNAPSHOT_DEBOUNCE_MS = 2000;
+const CACHE_LOAD_HISTORY_SIZE = 20; // Liczba zapamiętanych ładowań na tabelę (widok /admin/timings)
+// Po nieudanym ładowaniu tabela nie jest ponownie odpytywana przez ten czas (serwujemy ostatnie dane)
+const CACHE_RETRY_AFTER_ERROR_MS = Number(process.env.CACHE_RETRY_AFTER_ERROR_MS) || 30 * 1000;
+// /ready wymaga udanego połączenia z upstreamem w tym oknie czasu
+const READY_MAX_UPSTREAM_AGE_MS = Number(process.env.READY_MAX_UPSTREAM_AGE_MS) || 30 * 60 * 1000;
+
+// Ostatni kontakt z upstreamem (dla /ready)
+const upstreamHealth = { lastSuccessAt: 0, lastFailureAt: 0, lastError: null };
+
+// Wspólne obietnice ładowań będących w toku (single-flight): równoległe żądania
+// tej samej tabeli czekają na jedno ładowanie zamiast startować własne.
+const inFlightLoads = new Map();
+
+/**
+ * Helper: Runs `fn` at most once at a time per key. Concurrent callers with the
+ * same key share the in-flight promise; the key is released once it settles.
+ */
+function singleFlight(key, fn) {
+    if (inFlightLoads.has(key)) {
+        return inFlightLoads.get(key);
     }
-});
+    const promise = Promise.resolve()
+        .then(fn)
+        .finally(() => inFlightLoads.delete(key));
+    inFlightLoads.set(key, promise);
+    return promise;
+}
 
-// ZAKTUALIZOWANY ENDPOINT: /data/:numericId/meta - teraz zawiera dane z obu tabel
-app.get("/data/:numericId/meta", async (req, res) => {
-    const idParam = req.params.numericId;
-    const isDivision = idParam.startsWith('d');
-    const numericId = isDivision ? parseInt(idParam.substring(1)) : parseInt(idParam);
-    if (isNaN(numericId)) {
-        return res.status(400).json({ error: "Invalid ID. Please provide a valid numeric ID or 'd' + numeric ID for division records." });
-    }
-    const lang = (req.query.lang || "EN").toUpperCase();
-    const langSuffix = lang;
-    const titleKey = `Title${langSuffix}`;
-    const descriptionKey = `Description${langSuffix}`;
-    const aiCommentKey = `AIComment${langSuffix}`;
-    try {
-        let record = null;
-        let f = null;
-        if (isDivision) {
-            // Fetch from Divisions table
-            const allDivisions = await loadAllDivisions();
-            for (const divisionId in allDivisions) {
-                const divisionFields = allDivisions[divisionId];
-                if (divisionFields.DataID === numericId) {
-                    record = { id: divisionId, fields: divisionFields };
-                    f = divisionFields;
-                    break;
+/**
+ * Helper: Records that the current request is being served stale data from the given table.
+ */
+function markStaleTable(tableName) {
+    const context = requestContext.getStore();
+    if (context) context.staleTables.add(tableName);
+}
+
+/**
+ * Helper: Creates a cache for one table.
+ * `get()` returns fresh data immediately, returns stale data while a background
+ * revalidation is running, and only waits for the upstream when the cache is empty.
+ * `serialize`/`deserialize` convert the cached value to and from its on-disk snapshot form.
+ * When the upstream fails, the last known good value keeps being served and the current
+ * request is flagged as stale; `emptyValue` (if given) is served when nothing was ever loaded.
+ */
+function createTableCache(name, fetchTable, ttlMs, { serialize = value => value, deserialize = value => value, emptyValue, sizeOf = value => Object.keys(value).length } = {}) {
+    const cache = {
+        name,
+        ttlMs,
+        sizeOf,
+        value: null,
+        loadedAt: 0,
+        invalidated: false, // wymuszone przeładowanie (/cache/refresh); loadedAt zostaje prawdziwy
+        lastError: null,
+        revalidating: null,
+        loadHistory: [], // ostatnie ładowania: { at, durationMs, ok }
+
+        isFresh() {
+            return cache.value !== null && !cache.invalidated && (Date.now() - cache.loadedAt) < cache.ttlMs;
+        },
+
+        reload() {
+            return singleFlight(`table:${name}`, async () => {
+                const startedAt = Date.now();
+                const recordLoad = ok => {
+                    cache.loadHistory.push({ at: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt, ok });
+                    if (cache.loadHistory.length > CACHE_LOAD_HISTORY_SIZE) cache.loadHistory.shift();
+                };
+                try {
+                    const value = await fetchTable();
+                    recordLoad(true);
+                    cache.value = value;
+                    cache.loadedAt = Date.now();
+                    cache.invalidated = false;
+                    cache.lastError = null;
+                    upstreamHealth.lastSuccessAt = Date.now();
+                    scheduleCacheSnapshot();
+                    return value;
+                } catch (error) {
+                    recordLoad(false);
+                    metrics.cacheLoadErrors.inc({ table: name });
+                    cache.lastError = { message: error.message, at: new Date().toISOString(), atMs: Date.now() };
+                    upstreamHealth.lastFailureAt = Date.now();
+                    upstreamHealth.lastError = { table: name, message: error.message };
+                    throw error;
                 }
+            });
+        },
+
+        revalidate() {
+            if (!cache.revalidating) {
+                // Ładowanie w tle nie należy do żądania, które je wywołało: poza jego kontekstem
+                // logi i zapytania do upstreamu nie dostają requestId ani nie liczą się do tego żądania
+                cache.revalidating = requestContext.exit(() => cache.reload()
+                    .catch(error => {
+                        log.error("background cache revalidation failed", { table: name, err: error });
+                    })
+                    .finally(() => {
+                        cache.revalidating = null;
+                    }));
             }
-            if (!record) {
-                return res.status(404).json({ error: `No division data for ID "d${numericId}"` });
+            return cache.revalidating;
+        },
+
+        recentlyFailed() {
+            return cache.lastError !== null && (Date.now() - cache.lastError.atMs) < CACHE_RETRY_AFTER_ERROR_MS;
+        },
+
+        async get() {
+            // Ostatnie ładowanie się nie powiodło: serwujemy ostatnie poprawne dane z ostrzeżeniem
+            if (cache.value !== null && cache.lastError) {
+                markStaleTable(name);
             }
-            // For division records, try to get metadata from linked Poland record
-            const mainDataIds = f.Main_Data;
-            if (mainDataIds && Array.isArray(mainDataIds) && mainDataIds.length > 0) {
-                const mainDataId = mainDataIds[0];
-                let allPoland = [];
-                let offset = null;
-                do {
-                    const params = { pageSize: 100, offset };
-                    const r = await axios.get(
-                        `https://api.airtable.com/v0/${BASE}/${MAIN}`,
-                        { headers: { Authorization: `Bearer ${KEY}` }, params }
-                    );
-                    allPoland.push(...r.data.records);
-                    offset = r.data.offset;
-                } while (offset);
-                const linkedPolandRecord = allPoland.find(r => r.id === mainDataId);
-                if (linkedPolandRecord) {
-                    const polandFields = linkedPolandRecord.fields;
-                    let polandMetadataFields = {};
-                    const polandMetadataIds = polandFields.Metadata || [];
-                    if (Array.isArray(polandMetadataIds) && polandMetadataIds.length > 0) {
-                        const polandMetadataId = polandMetadataIds[0];
-                        try {
-                            const metaResp = await axios.get(
-                                `https://api.airtable.com/v0/${BASE}/${META}/${polandMetadataId}`,
-                                { headers: { Authorization: `Bearer ${KEY}` } }
-                            );
-                            polandMetadataFields = metaResp.data.fields;
-                        } catch (e) {}
-                    }
-                    f._polandMetadataFields = polandMetadataFields;
-                }
+            if (cache.isFresh()) {
+                metrics.cacheRequests.inc({ table: name, result: "hit" });
+                return cache.value;
             }
-        } else {
-            // Fetch from Poland table
-            const filterFormula = `{DataID} = ${numericId}`;
-            const mainResp = await axios.get(
-                `https://api.airtable.com/v0/${BASE}/${MAIN}`, {
-                    headers: { Authorization: `Bearer ${KEY}` },
-                    params: { filterByFormula: filterFormula }
-                }
-            );
-            record = mainResp.data.records[0];
-            if (!record) {
-                return res.status(404).json({ error: `No data for ID "${numericId}"` });
+            if (cache.value !== null) {
+                metrics.cacheRequests.inc({ table: name, result: "stale" });
+                if (!cache.recentlyFailed()) cache.revalidate();
+                return cache.value;
             }
-            f = record.fields;
-        }
-        const meta = {
-            title: Array.isArray(f[titleKey]) ? f[titleKey][0] : (f[titleKey] || (Array.isArray(f.Title) ? f.Title[0] : f.Title) || f.TitleEN || ""),
-            description: f[descriptionKey] || f.DescriptionEN || "",
-            updateFrequency: f.UpdateFrequency || "",
-            lastUpdate: f.UpdatedThere || "",
-            nextUpdateTime: f.NextUpdateTime || "",
-            category: undefined,
-            contentHub: undefined,
-            summary: undefined,
-            sourceName: undefined,
-            unit: undefined
-        };
-        let metadataFields = {};
-        const metadataIds = f.Metadata || [];
-        if (Array.isArray(metadataIds) && metadataIds.length > 0) {
-            const metadataId = metadataIds[0];
-            try {
-                const metaResp = await axios.get(
-                    `https://api.airtable.com/v0/${BASE}/${META}/${metadataId}`, {
-                        headers: { Authorization: `Bearer ${KEY}` }
-                    }
-                );
-                metadataFields = metaResp.data.fields;
-            } catch (e) {}
-        }
-        const catMap = await loadAllCategories();
-        const categorySelectIds = f.CategorySelect || [];
-        const contentHubValue = f['Content hub'];
-        let aiCommentValue = null;
-        if (isDivision) {
-            aiCommentValue = f[aiCommentKey] || f.AICommentEN;
-        } else {
-            const allComments = await loadAllComments();
-            const linkedCommentRecordIds = f.Comment;
-            if (Array.isArray(linkedCommentRecordIds) && linkedCommentRecordIds.length > 0) {
-                const commentRecordId = linkedCommentRecordIds[0];
-                const commentFields = allComments[commentRecordId];
-                if (commentFields) {
-                    aiCommentValue = commentFields[aiCommentKey] || commentFields.AICommentEN;
+            metrics.cacheRequests.inc({ table: name, result: "miss" });
+            if (emptyValue !== undefined) {
+                if (cache.recentlyFailed()) {
+                    markStaleTable(name);
+                    return emptyValue;
                 }
-            }
-        }
-        // Set meta.category for both Poland and Division records using CategorySelect, but use SecondaryEN (or language-specific Secondary) from Categories table
-        let categorySet = false;
-        if (Array.isArray(categorySelectIds) && categorySelectIds.length) {
-            const catFields = catMap[categorySelectIds[0]];
-            console.log('[DEBUG:/data/:numericId/meta] categorySelectIds:', categorySelectIds, 'catFields:', catFields);
-            if (catFields) {
-                const categorySecondaryKey = lang === "EN" ? "SecondaryEN" : `Secondary${lang}`;
-                meta.category = catFields[categorySecondaryKey] || catFields["SecondaryEN"] || null;
-                categorySet = true;
-            }
-        }
-        // For Division records, if category is still not set, try to get it from linked Poland record
-        if (isDivision && !categorySet && f.Main_Data && Array.isArray(f.Main_Data) && f.Main_Data.length > 0) {
-            const mainDataId = f.Main_Data[0];
-            let allPoland = [];
-            let offset = null;
-            do {
-                const params = { pageSize: 100, offset };
-                const r = await axios.get(
-                    `https://api.airtable.com/v0/${BASE}/${MAIN}`,
-                    { headers: { Authorization: `Bearer ${KEY}` }, params }
-                );
-                allPoland.push(...r.data.records);
-                offset = r.data.offset;
-            } while (offset);
-            const linkedPolandRecord = allPoland.find(r => r.id === mainDataId);
-            if (linkedPolandRecord) {
-                const polandCategorySelectIds = linkedPolandRecord.fields.CategorySelect || [];
-                if (Array.isArray(polandCategorySelectIds) && polandCategorySelectIds.length) {
-                    const catFields = catMap[polandCategorySelectIds[0]];
-                    if (catFields) {
-                        const categorySecondaryKey = lang === "EN" ? "SecondaryEN" : `Secondary${lang}`;
-                        meta.category = catFields[categorySecondaryKey] || catFields["SecondaryEN"] || null;
-                    }
+                try {
+                    return await cache.reload();
+                } catch (error) {
+                    log.warn("serving empty table data", { table: name, err: error });
+                    markStaleTable(name);
+                    return emptyValue;
                 }
             }
+            return cache.reload();
+        },
+
+        invalidate() {
+            cache.invalidated = true;
+            scheduleCacheSnapshot();
+        },
+
+        toSnapshot() {
+            return cache.value === null ? null : { loadedAt: cache.loadedAt, invalidated: cache.invalidated, value: serialize(cache.value) };
+        },
+
+        restoreSnapshot(entry) {
+            cache.value = deserialize(entry.value);
+            cache.loadedAt = entry.loadedAt;
+            cache.invalidated = Boolean(entry.invalidated);
         }
-        if (contentHubValue && Array.isArray(contentHubValue) && contentHubValue.length > 0) {
-            meta.contentHub = contentHubValue.join(', ');
-        }
-        if (aiCommentValue) {
-            meta.summary = aiCommentValue;
-        }
-        if (isDivision && f._polandMetadataFields) {
-            meta.sourceName = f._polandMetadataFields[`Source Name${langSuffix}`]
-                || f._polandMetadataFields["Source NameEN"]
-                || f._polandMetadataFields["Source Name"]
-                || "";
-            meta.unit = f._polandMetadataFields[`Unit${langSuffix}`]
-                || f._polandMetadataFields.UnitEN
-                || f._polandMetadataFields.Unit
-                || "";
-        } else {
-            meta.sourceName = metadataFields[`Source Name${langSuffix}`]
-                || metadataFields["Source NameEN"]
-                || metadataFields["Source Name"]
-                || f.sourceName
-                || "";
-            meta.unit = metadataFields[`Unit${langSuffix}`]
-                || metadataFields.UnitEN
-                || metadataFields.Unit
-                || f[`Unit${langSuffix}`]
-                || f.UnitEN
-                || f.unit
-                || "";
-        }
-        res.json({ meta });
-    } catch (e) {
-        res.status(500).json({ error: e.toString() });
-    }
-});
+    };
+    return cache;
+}
 
-app.post("/cache/refresh", requireApiKey, (req, res) => {
-    categoryMapCache = null;
-    contentHubsCache = null;
-    commentMapCache = null; // Resetuj cache komentarzy
-    divisionsCache = null; // NOWE: Resetuj cache divisions
-    cacheLastLoaded = 0; // Resetujemy timestamp
-    res.json({ message: "Cache has been cleared and will be reloaded on the next data request." });
-});
+/**
+ * Helper: Fetches all categories into a map { id -> fields }.
+ */
+async function fetchAllCategories() {
+  log.info("fetching table", { table: "categories", source: dataSource.name });
+  let map = {};
+  try {
+    const records = await dataSource.listRecords(CATS);
+    records.forEach(rec => {
+      map[rec.id] = rec.fields;
+    });
+  } catch (error) {
+    log.error("failed to fetch table", { table: "categories", source: dataSource.name, err: error });
+    throw error;
+  }
 
-// Debug endpoint to clear content hubs cache only
-app.post("/cache/refresh-content-hubs", requireApiKey, (req, res) => {
-    contentHubsCache = null;
-    res.json({ message: "Content hubs cache has been cleared and will be reloaded on the next request." });
-});
+  log.info("table loaded", { table: "categories", count: Object.keys(map).length });
+  return map;
+}
 
-// NOWY ENDPOINT DO TESTOWANIA DOSTĘPU DO TABELI DIVISIONS
-app.get("/debug/divisions", async (req, res) => {
+/**
+ * Helper: Fetches all content hubs into a map.
+ * The map uses the primary field value (e.g., Polish title) as the key
+ * to allow for fast lookups.
+ */
+async function fetchAllContentHubs() {
+    log.info("fetching table", { table: "contentHubs", source: dataSource.name });
+    let map = {};
     try {
-        const divisions = await loadAllDivisions();
-        const divisionCount = Object.keys(divisions).length;
-        
-        // Get sample division data for debugging
-        const sampleDivisions = [];
-        let count = 0;
-        for (const divisionId in divisions) {
-            if (count < 3) { // Only return first 3 divisions
-                sampleDivisions.push({
-                    id: divisionId,
-                    fields: divisions[divisionId]
-                });
-                count++;
+        const records = await dataSource.listRecords(CONTENT_HUBS_TABLE);
+        records.forEach(rec => {
+            if (rec.fields.Title) { // Używamy wartości z pola 'Title' (primary field) jako klucza mapy.
+                map[rec.fields.Title] = { ...rec.fields, id: rec.id };
             }
-        }
-        
-        res.json({ 
-            message: "Divisions table access test",
-            totalDivisions: divisionCount,
-            sampleDivisions: sampleDivisions,
-            tableName: DIVISIONS_TABLE,
-            baseId: BASE
         });
-    } catch (e) {
-        res.status(500).json({ error: e.toString() });
+    } catch (error) {
+        log.error("failed to fetch table", { table: "contentHubs", source: dataSource.name, err: error });
+        throw error;
     }
-});
 
-// NOWY ENDPOINT DO TESTOWANIA DOSTĘPU DO VIEWS
-app.get("/debug/views", async (req, res) => {
+    log.info("table loaded", { table: "contentHubs", count: Object.keys(map).length });
+    return map;
+}
+
+/**
+ * NOWA FUNKCJA POMOCNICZA: Fetches all comments into a map { id -> fields }.
+ * `createdTime` of the record is kept with the fields: it dates the comment in the news.
+ */
+async function fetchAllComments() {
+    log.info("fetching table", { table: "comments", source: dataSource.name });
+    let map = {};
     try {
-        // Try to get table metadata to see available views
-        const r = await axios.get(
-            `https://api.airtable.com/v0/meta/bases/${BASE}/tables`,
-            { headers: { Authorization: `Bearer ${KEY}` } }
-        );
-        
-        const tables = r.data.tables;
-        const mainTable = tables.find(t => t.name === MAIN);
-        
-        if (mainTable) {
-            res.json({
-                message: "Available views for main table",
-                tableName: MAIN,
-                views: mainTable.views || [],
-                baseId: BASE
-            });
-        } else {
-            res.json({
-                message: "Main table not found in metadata",
-                tableName: MAIN,
-                availableTables: tables.map(t => t.name),
-                baseId: BASE
-            });
-        }
-    } catch (e) {
-        res.status(500).json({ error: e.toString() });
+        const records = await dataSource.listRecords(COMMENT_TABLE);
+        records.forEach(rec => {
+            map[rec.id] = { ...rec.fields, createdTime: rec.createdTime };
+        });
+    } catch (error) {
+        log.error("failed to fetch table", { table: "comments", source: dataSource.name, err: error });
+        throw error;
     }
-});
 
-// NOWY ENDPOINT DO TESTOWANIA STRUKTURY DIVISIONS
-app.get("/debug/divisions-structure", async (req, res) => {
-    try {
+    log.info("table loaded", { table: "comments", count: Object.keys(map).length });
+    return map;
+}
+
+/**
+ * NOWA FUNKCJA POMOCNICZA: Fetches all divisions into a map { id -> fields }.
+ */
+async function fetchAllDivisions() {
+    log.info("fetching table", { table: "divisions", source: dataSource.name });
+    let map = {};
+    
+    try {
+        const records = await dataSource.listRecords(DIVISIONS_TABLE);
+        records.forEach(rec => {
+            map[rec.id] = rec.fields;
+        });
+
+        log.info("table loaded", { table: "divisions", count: Object.keys(map).length });
+        return map;
+    } catch (error) {
+        log.error("failed to fetch table", { table: "divisions", source: dataSource.name, err: error });
+        // Cache zachowuje ostatnie poprawne dane (albo pustą mapę z nagłówkiem Warning)
+        throw error;
+    }
+}
+
+/**
+ * Helper: Fetches all metadata records into a map { id -> fields } (used by /search).
+ */
+async function fetchAllMetadata() {
+    log.info("fetching table", { table: "metadata", source: dataSource.name });
+    let map = {};
+    try {
+        const records = await dataSource.listRecords(META);
+        records.forEach(rec => {
+            map[rec.id] = rec.fields;
+        });
+    } catch (error) {
+        log.error("failed to fetch table", { table: "metadata", source: dataSource.name, err: error });
+        throw error;
+    }
+
+    log.info("table loaded", { table: "metadata", count: Object.keys(map).length });
+    return map;
+}
+
+/**
+ * Helper: Loads the whole main table and, for every country of the categories table, the IDs
+ * of the records in its Airtable view (getCountryViewId) in view order. The view decides which
+ * records belong to a country, so rows hidden or filtered out in the view stay out of the API.
+ */
+async function fetchMainTable() {
+    const first = value => (Array.isArray(value) ? value[0] : value);
+    const categories = await loadAllCategories();
+    log.info("fetching table", { table: "main", source: dataSource.name });
+    let records;
+    const countryViews = {};
+    try {
+        records = await dataSource.listRecords(MAIN);
+        const countries = new Set(Object.values(categories).map(f => first(f.TitleEN)).filter(c => typeof c === "string"));
+        for (const country of countries) {
+            const view = getCountryViewId(country.toLowerCase() === "european union" ? "eu" : country);
+            countryViews[country] = (await dataSource.listRecords(MAIN, { view })).map(r => r.id);
+        }
+    } catch (error) {
+        log.error("failed to fetch table", { table: "main", source: dataSource.name, err: error });
+        throw error;
+    }
+
+    log.info("table loaded", { table: "main", count: records.length, countries: Object.keys(countryViews).length });
+    return { records, countryViews };
+}
+
+/**
+ * Helper: Builds the main table store and its indexes from the main table ({ records, countryViews })
+ * and the categories map. Countries are indexed from their views, in view order.
+ */
+function buildMainStore({ records, countryViews }, categories) {
+    const toList = value => (Array.isArray(value) ? value : (value ? [value] : []));
+    const normalize = value => String(value).toLowerCase().trim();
+
+    // Categories link back to main records through their 'Poland' field.
+    const categoryIdsByRecord = new Map();
+    for (const [catId, fields] of Object.entries(categories)) {
+        for (const recordId of toList(fields.Poland)) {
+            if (!categoryIdsByRecord.has(recordId)) categoryIdsByRecord.set(recordId, new Set());
+            categoryIdsByRecord.get(recordId).add(catId);
+        }
+    }
+
+    const store = {
+        records,
+        byId: new Map(),
+        byDataId: new Map(),
+        byCategory: new Map(),
+        byContentHub: new Map(),
+        byCountry: new Map()
+    };
+    const addToIndex = (index, key, record) => {
+        if (!index.has(key)) index.set(key, new Set());
+        index.get(key).add(record);
+    };
+
+    for (const record of records) {
+        const f = record.fields;
+        store.byId.set(record.id, record);
+        if (f.DataID !== undefined && f.DataID !== null && f.DataID !== "") {
+            store.byDataId.set(Number(f.DataID), record);
+        }
+
+        const categoryIds = new Set([...toList(f.CategorySelect), ...(categoryIdsByRecord.get(record.id) || [])]);
+        for (const catId of categoryIds) {
+            addToIndex(store.byCategory, catId, record);
+        }
+        for (const hubId of toList(f["Content hubs in build"])) {
+            addToIndex(store.byContentHub, hubId, record);
+        }
+    }
+    for (const [country, recordIds] of Object.entries(countryViews)) {
+        for (const recordId of recordIds) {
+            if (store.byId.has(recordId)) addToIndex(store.byCountry, normalize(country), store.byId.get(recordId));
+        }
+    }
+
+    return store;
+}
+
+const tableCaches = {
+    categories: createTableCache("categories", fetchAllCategories, CACHE_TTL_MS.categories),
+    contentHubs: createTableCache("contentHubs", fetchAllContentHubs, CACHE_TTL_MS.contentHubs),
+    comments: createTableCache("comments", fetchAllComments, CACHE_TTL_MS.comments),
+    // Bez Divisions API nadal działa - zwracamy pustą mapę, ale z nagłówkiem Warning
+    divisions: createTableCache("divisions", fetchAllDivisions, CACHE_TTL_MS.divisions, { emptyValue: {} }),
+    // Metadane są potrzebne tylko wyszukiwarce - bez nich szukamy w pozostałych polach
+    metadata: createTableCache("metadata", fetchAllMetadata, CACHE_TTL_MS.metadata, { emptyValue: {} }),
+    // Surowe rekordy i widoki krajów; indeksy buduje loadMainStore razem z aktualnymi kategoriami
+    main: createTableCache("main", fetchMainTable, CACHE_TTL_MS.main, {
+        sizeOf: table => table.records.length,
+        // Starsze zrzuty zawierają samą tablicę rekordów, bez widoków
+        deserialize: value => (Array.isArray(value) ? { records: value, countryViews: {} } : value)
+    })
+};
+
+let mainStoreCache = { sources: [], store: null };
+
+// Wiek danych w cache liczony w chwili odczytu /metrics
+new promClient.Gauge({
+    name: "cache_age_seconds",
+    help: "Age of the data held in each table cache (-1 when nothing is loaded)",
+    labelNames: ["table"],
+    registers: [metricsRegistry],
+    collect() {
+        for (const cache of Object.values(tableCaches)) {
+            this.set({ table: cache.name }, cache.value === null ? -1 : (Date.now() - cache.loadedAt) / 1000);
+        }
+    }
+});
+
+let cacheSnapshotTimer = null;
+
+/**
+ * Helper: Writes every loaded table cache to the snapshot file, a few seconds after
+ * the last load so a full refresh results in a single write.
+ */
+function scheduleCacheSnapshot() {
+    if (!CACHE_SNAPSHOT_ENABLED || cacheSnapshotTimer) return;
+    cacheSnapshotTimer = setTimeout(() => {
+        cacheSnapshotTimer = null;
+        writeCacheSnapshot().catch(error => {
+            log.error("failed to write cache snapshot", { path: CACHE_SNAPSHOT_PATH, err: error });
+        });
+    }, CACHE_SNAPSHOT_DEBOUNCE_MS);
+    cacheSnapshotTimer.unref();
+}
+
+/**
+ * Helper: Writes the snapshot atomically (temporary file + rename).
+ */
+async function writeCacheSnapshot() {
+    const tables = {};
+    for (const [key, cache] of Object.entries(tableCaches)) {
+        const entry = cache.toSnapshot();
+        if (entry) tables[key] = entry;
+    }
+    const snapshot = {
+        dataSource: dataSource.name,
+        baseId: dataSource.baseId,
+        writtenAt: new Date().toISOString(),
+        tables
+    };
+    const tmpPath = `${CACHE_SNAPSHOT_PATH}.tmp`;
+    await fs.promises.mkdir(path.dirname(CACHE_SNAPSHOT_PATH), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot));
+    await fs.promises.rename(tmpPath, CACHE_SNAPSHOT_PATH);
+    log.info("cache snapshot written", { path: CACHE_SNAPSHOT_PATH });
+}
+
+/**
+ * Helper: Seeds the table caches from the snapshot file at startup. Restored tables keep
+ * their original load time, so stale ones are served immediately and revalidated in the background.
+ * Snapshots written for another data source or base are ignored.
+ */
+function restoreCacheSnapshot() {
+    if (!CACHE_SNAPSHOT_ENABLED || !fs.existsSync(CACHE_SNAPSHOT_PATH)) return;
+    try {
+        const snapshot = JSON.parse(fs.readFileSync(CACHE_SNAPSHOT_PATH, "utf8"));
+        if (snapshot.dataSource !== dataSource.name || snapshot.baseId !== dataSource.baseId) {
+            log.warn("ignoring cache snapshot written for another data source", { path: CACHE_SNAPSHOT_PATH });
+            return;
+        }
+        for (const [key, cache] of Object.entries(tableCaches)) {
+            const entry = snapshot.tables && snapshot.tables[key];
+            if (entry) cache.restoreSnapshot(entry);
+        }
+        log.info("cache snapshot restored", { tables: Object.keys(snapshot.tables || {}), writtenAt: snapshot.writtenAt });
+    } catch (error) {
+        log.error("failed to read cache snapshot", { path: CACHE_SNAPSHOT_PATH, err: error });
+    }
+}
+
+/**
+ * Helper: Returns the categories map { id -> fields } from cache.
+ */
+function loadAllCategories() {
+    return tableCaches.categories.get();
+}
+
+/**
+ * Helper: Returns the content hubs map { primary title -> fields } from cache.
+ */
+function loadAllContentHubs() {
+    return tableCaches.contentHubs.get();
+}
+
+/**
+ * Helper: Returns the comments map { id -> fields } from cache.
+ */
+function loadAllComments() {
+    return tableCaches.comments.get();
+}
+
+/**
+ * Helper: Returns the divisions map { id -> fields } from cache.
+ */
+function loadAllDivisions() {
+    return tableCaches.divisions.get();
+}
+
+/**
+ * Helper: Returns the metadata map { id -> fields } from cache.
+ */
+function loadAllMetadata() {
+    return tableCaches.metadata.get();
+}
+
+/**
+ * Helper: Returns the indexed main table store, rebuilding the indexes only when the main
+ * table or the categories (which link records to categories) have been reloaded.
+ */
+async function loadMainStore() {
+    const [table, categories] = await Promise.all([tableCaches.main.get(), loadAllCategories()]);
+    if (table !== mainStoreCache.sources[0] || categories !== mainStoreCache.sources[1]) {
+        mainStoreCache = { sources: [table, categories], store: buildMainStore(table, categories) };
+    }
+    return mainStoreCache.store;
+}
+
+/**
+ * Helper: Resolves a table name given to /cache/refresh (e.g. "categories",
+ * "content-hubs", "main") to its cache, or null when the name is unknown.
+ */
+function findTableCache(tableName) {
+    const normalized = String(tableName).toLowerCase().replace(/[^a-z]/g, "");
+    return Object.values(tableCaches).find(cache => cache.name.toLowerCase() === normalized) || null;
+}
+
+/**
+ * Helper: Returns main records from one of the store indexes (byCategory,
+ * byContentHub, byCountry) as an array. Country keys are matched case-insensitively.
+ */
+function getMainRecordsBy(store, indexName, key) {
+    if (key === undefined || key === null) return [];
+    const lookupKey = indexName === "byCountry" ? String(key).toLowerCase().trim() : key;
+    return Array.from(store[indexName].get(lookupKey) || []);
+}
+
+/**
+ * Helper: Returns main records linked to any of the given categories, in main table order.
+ */
+function getMainRecordsForCategories(store, categoryIds) {
+    const wanted = new Set(categoryIds.flatMap(catId => getMainRecordsBy(store, "byCategory", catId)));
+    return store.records.filter(r => wanted.has(r));
+}
+
+/**
+ * NOWA FUNKCJA POMOCNICZA: Gets divisions linked to a main record.
+ * Returns an array of division records that are linked to the given main record.
+ */
+async function getLinkedDivisions(mainRecordId) {
+    const allDivisions = await loadAllDivisions();
+    const linkedDivisions = [];
+    
+    for (const divisionId in allDivisions) {
+        const divisionFields = allDivisions[divisionId];
+        
+        // Try multiple possible field names for linking to main table
+        const possibleLinkingFields = [
+            'linkedto', 'LinkedTo', 'MainRecord', 'Main', 'Poland', 'ParentRecord',
+            'linkedto', 'Linked To', 'Main Record', 'Parent Record', 'Poland Record'
+        ];
+        
+        let linkedToMain = null;
+        for (const fieldName of possibleLinkingFields) {
+            if (divisionFields[fieldName]) {
+                linkedToMain = divisionFields[fieldName];
+                break;
+            }
+        }
+        
+        if (Array.isArray(linkedToMain) && linkedToMain.includes(mainRecordId)) {
+            linkedDivisions.push({
+                id: divisionId,
+                fields: divisionFields
+            });
+        }
+    }
+    
+    return linkedDivisions;
+}
+
+/**
+ * NOWA FUNKCJA POMOCNICZA: Unifies AI comments from main record and its linked divisions.
+ * Returns an array of all AI comments for a given language.
+ */
+async function getUnifiedAIComments(mainRecord, lang) {
+    const comments = [];
+    
+    // Get comments from main record
+    const allComments = await loadAllComments();
+    const linkedCommentRecordIds = mainRecord.fields.Comment;
+    
+    if (Array.isArray(linkedCommentRecordIds) && linkedCommentRecordIds.length > 0) {
+        const commentRecordId = linkedCommentRecordIds[0];
+        const commentFields = allComments[commentRecordId];
+        if (commentFields) {
+            const commentText = pickLocalized(commentFields, "AIComment", lang);
+            if (commentText) {
+                comments.push({
+                    source: 'main',
+                    comment: commentText
+                });
+            }
+        }
+    }
+    
+    // Get comments from linked divisions
+    const linkedDivisions = await getLinkedDivisions(mainRecord.id);
+    for (const division of linkedDivisions) {
+        const divisionCommentIds = division.fields.Comment;
+        if (Array.isArray(divisionCommentIds) && divisionCommentIds.length > 0) {
+            const commentRecordId = divisionCommentIds[0];
+            const commentFields = allComments[commentRecordId];
+            if (commentFields) {
+                const commentText = pickLocalized(commentFields, "AIComment", lang);
+                if (commentText) {
+                    comments.push({
+                        source: 'division',
+                        divisionId: division.id,
+                        comment: commentText
+                    });
+                }
+            }
+        }
+    }
+    
+    return comments;
+}
+
+/**
+ * NOWA FUNKCJA POMOCNICZA: Gets unified data from main record and its divisions.
+ * Returns an object with main data and additional division data.
+ */
+async function getUnifiedData(mainRecord, lang) {
+    const unifiedData = {
+        main: {
+            id: mainRecord.fields.DataID || mainRecord.id,
+            title: pickLocalized(mainRecord.fields, "Title", lang) || mainRecord.fields.Title || "",
+            description: pickLocalized(mainRecord.fields, "Description", lang) || "",
+            data: pickLocalized(mainRecord.fields, "Data", lang) || "",
+            lastUpdate: mainRecord.fields.UpdatedThere || "",
+            nextUpdateTime: mainRecord.fields.NextUpdateTime || "",
+            updateFrequency: mainRecord.fields.UpdateFrequency || ""
+        },
+        divisions: []
+    };
+    
+    // Get linked divisions
+    const linkedDivisions = await getLinkedDivisions(mainRecord.id);
+    for (const division of linkedDivisions) {
+        const divisionData = {
+            id: division.id,
+            title: pickLocalized(division.fields, "Title", lang) || division.fields.Title || "",
+            description: pickLocalized(division.fields, "Description", lang) || "",
+            data: pickLocalized(division.fields, "Data", lang) || "",
+            category: division.fields.Category || null,
+            country: division.fields.Country || null,
+            contentHub: division.fields['Content hub'] || null
+        };
+        unifiedData.divisions.push(divisionData);
+    }
+    
+    return unifiedData;
+}
+
+// --- MIDDLEWARE (dla endpointów, które tego wymagają) ---
+app.use(express.json());
+
+// Kontekst żądania: identyfikator (X-Request-Id, przyjmowany od klienta albo generowany),
+// licznik zapytań do upstreamu i log dostępu po zakończeniu żądania.
+// Jeśli odpowiedź korzysta z przeterminowanych danych (upstream niedostępny),
+// dodajemy nagłówki Warning i X-Stale-Tables tuż przed wysłaniem nagłówków.
+app.use((req, res, next) => {
+    const incomingId = req.get("X-Request-Id");
+    const requestId = incomingId && /^[\w.:-]{1,128}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+    const context = { requestId, upstreamCalls: 0, staleTables: new Set(), servedLanguages: new Set() };
+    const startedAt = Date.now();
+    res.setHeader("X-Request-Id", requestId);
+    res.on("finish", () => {
+        requestContext.run(context, () => log.info("request completed", {
+            method: req.method,
+            path: req.originalUrl,
+            route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+            status: res.statusCode,
+            durationMs: Date.now() - startedAt,
+            upstreamCalls: context.upstreamCalls,
+            staleTables: context.staleTables.size > 0 ? Array.from(context.staleTables) : undefined
+        }));
+    });
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+        if (context.staleTables.size > 0) {
+            res.setHeader("Warning", '110 - "Response is Stale"');
+            res.setHeader("X-Stale-Tables", Array.from(context.staleTables).join(", "));
+        }
+        // Języki, w których faktycznie podano treść (po łańcuchach zastępczych), np. "sk, cs"
+        if (context.servedLanguages.size > 0 && !res.getHeader("Content-Language")) {
+            res.setHeader("Content-Language", Array.from(context.servedLanguages, l => LANGUAGE_TAGS[l]).join(", "));
+        }
+        return writeHead.apply(this, args);
+    };
+    requestContext.run(context, next);
+});
+
+// Czas obsługi żądań (histogram per trasa Express, np. /data/:numericId)
+app.use((req, res, next) => {
+    const endTimer = metrics.httpRequestDuration.startTimer();
+    res.on("finish", () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+        endTimer({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+});
+
+// Język odpowiedzi z ?lang albo nagłówka Accept-Language; trasy czytają go z req.lang
+app.use((req, res, next) => {
+    req.lang = resolveRequestLanguage(req);
+    res.vary("Accept-Language");
+    next();
+});
+
+// Middleware do sprawdzania prywatnego klucza API
+const requireApiKey = (req, res, next) => {
+    if (!PRIV || req.headers["x-api-key"] !== PRIV) {
+        return res.status(403).json({ error: "Forbidden: invalid API key" });
+    }
+    next();
+};
+
+/**
+ * Helper: Converts country param to Airtable view name or ID for API requests.
+ */
+function getCountryViewId(countryParam) {
+    const lowerCaseCountry = countryParam.toLowerCase();
+    if (lowerCaseCountry === 'eu') {
+        const viewId = process.env.AIRTABLE_EU_VIEW_ID || 'European Union';
+        return viewId;
+    } else if (lowerCaseCountry === 'poland') {
+        const viewId = process.env.AIRTABLE_POLAND_VIEW_ID || 'Poland';
+        return viewId;
+    } else {
+        const viewId = countryParam.charAt(0).toUpperCase() + countryParam.slice(1);
+        return viewId;
+    }
+}
+
+/**
+ * Helper: Converts country param to the country name for local filtering.
+ */
+function getCountryNameForFiltering(countryParam) {
+    const lowerCaseCountry = countryParam.toLowerCase();
+    if (lowerCaseCountry === 'eu') {
+        return 'European Union';
+    } else if (lowerCaseCountry === 'poland') {
+        return 'Poland';
+    } else {
+        return countryParam.charAt(0).toUpperCase() + countryParam.slice(1);
+    }
+}
+
+/**
+ * Helper: Fetches content hub record ID from its slug, a localized alias or its title.
+ */
+async function getContentHubId(hubTitle) {
+    if (!hubTitle) return null;
+    const resolved = resolveSlug(await loadSlugRegistry(), "contentHubs", hubTitle);
+    return resolved ? resolved.keys[0] : null;
+}
+
+/**
+ * Znajduje ID kategorii na podstawie sluga (albo nazwy, także przetłumaczonej) i kraju.
+ * Wykorzystuje buforowane dane.
+ */
+async function getCategoryIdByName(categoryName, countryName) {
+    const resolved = resolveSlug(await loadSlugRegistry(), "categories", categoryName);
+    if (!resolved) return null;
+    const categoriesMap = await loadAllCategories();
+    const normalizedCountryName = countryName.toLowerCase().trim();
+    return resolved.keys.find(id => {
+        const fields = categoriesMap[id];
+        // TitleEN rekordu kategorii to nazwa kraju
+        const titleEN = fields && ((Array.isArray(fields.TitleEN) ? fields.TitleEN[0] : fields.TitleEN) || '');
+        return titleEN && titleEN.toLowerCase().trim() === normalizedCountryName;
+    }) || null;
+}
+
+// --- SLUGI (stabilne adresy kategorii, hubów i zbiorów, aliasy językowe, przekierowania) ---
+// Historia slugów: po zmianie tytułu stary slug nadal prowadzi (301) do nowego.
+// SLUG_HISTORY_PATH=off wyłącza zapis historii na dysk.
+const SLUG_HISTORY_PATH = process.env.SLUG_HISTORY_PATH || path.join(__dirname, ".cache", "slugs.json");
+const SLUG_HISTORY_ENABLED = SLUG_HISTORY_PATH.toLowerCase() !== "off";
+const SLUG_KINDS = ["categories", "contentHubs", "datasets"];
+
+let slugHistory = null;
+let slugRegistryCache = { sources: [], registry: null };
+
+/**
+ * Helper: Builds a slug index from entries { key, slug, aliases }. Canonical slugs win over
+ * aliases, and an alias claimed by two different slugs keeps its first owner. Several keys can
+ * share one slug (the same category in several countries).
+ */
+function createSlugIndex(entries) {
+    const bySlug = new Map();
+    const slugByKey = new Map();
+    entries.forEach(({ key, slug }) => {
+        slugByKey.set(key, slug);
+        if (!bySlug.has(slug)) bySlug.set(slug, { slug, keys: [] });
+        bySlug.get(slug).keys.push(key);
+    });
+    entries.forEach(({ key, slug, aliases }) => {
+        aliases.forEach(alias => {
+            if (!alias || alias === slug) return;
+            if (!bySlug.has(alias)) bySlug.set(alias, { slug, keys: [] });
+            const entry = bySlug.get(alias);
+            if (entry.slug === slug && !entry.keys.includes(key)) entry.keys.push(key);
+        });
+    });
+    return { bySlug, slugByKey };
+}
+
+/**
+ * Helper: Generates the slugs of categories, content hubs and datasets. A `Slug` field on the
+ * record pins the slug; otherwise it comes from the English name. Slugs of the names in the other
+ * languages become aliases ("gospodarka" → "economy"). Dataset slugs are unique: on a clash the
+ * dataset ID is appended ("inflation-3011"). `history` (the dataset part of the slug history)
+ * settles clashes: a dataset that already held the slug keeps it and only the newcomer gets the ID.
+ */
+function buildSlugRegistry({ store, divisions, categories, contentHubs, history = {} }) {
+    const first = value => (Array.isArray(value) ? value[0] : value);
+    const localizedSlugs = (fields, name, primaryKey) => [
+        slugify(first(fields[primaryKey])),
+        ...LANGUAGES.map(lang => slugify(first(fields[`${name}${lang}`])))
+    ];
+    const slugOf = (fields, name) => slugify(fields.Slug) || slugify(first(fields[`${name}EN`]));
+
+    const categoryEntries = Object.entries(categories).map(([id, f]) => ({
+        key: id,
+        slug: slugOf(f, "Secondary") || slugify(first(f.Secondary)),
+        aliases: localizedSlugs(f, "Secondary", "Secondary")
+    }));
+    const hubEntries = Object.values(contentHubs).map(f => ({
+        key: f.id,
+        slug: slugOf(f, "Title") || slugify(f.Title),
+        aliases: localizedSlugs(f, "Title", "Title")
+    }));
+
+    const datasets = [
+        ...store.records
+            .filter(r => r.fields.DataID !== undefined && r.fields.DataID !== null && r.fields.DataID !== "")
+            .sort((a, b) => a.fields.DataID - b.fields.DataID)
+            .map(r => ({ key: String(r.fields.DataID), fields: r.fields })),
+        ...Object.values(divisions)
+            .filter(f => f.DataID !== undefined && f.DataID !== null && f.DataID !== "")
+            .sort((a, b) => a.DataID - b.DataID)
+            .map(f => ({ key: `d${f.DataID}`, fields: f }))
+    ].map(dataset => ({ ...dataset, slug: slugOf(dataset.fields, "Title") || slugify(first(dataset.fields.Title)) || "dataset" }));
+    // Zbiory, które miały już swój slug (wg historii), wybierają pierwsze - nowy rekord o tym samym
+    // tytule nie przejmie adresu istniejącego zbioru
+    const keepsSlug = ({ key, slug }) => (history[slug] || []).includes(key);
+
+    const datasetEntries = [];
+    const takenSlugs = new Set();
+    [...datasets.filter(keepsSlug), ...datasets.filter(dataset => !keepsSlug(dataset))].forEach(({ key, fields, slug }) => {
+        // Slug nie może wyglądać jak ID ("2042", "d15") ani powtarzać się
+        if (/^d?\d+$/.test(slug) || takenSlugs.has(slug)) slug = `${slug}-${key}`;
+        takenSlugs.add(slug);
+        datasetEntries.push({ key, slug, aliases: localizedSlugs(fields, "Title", "Title") });
+    });
+
+    return {
+        categories: createSlugIndex(categoryEntries),
+        contentHubs: createSlugIndex(hubEntries),
+        datasets: createSlugIndex(datasetEntries)
+    };
+}
+
+/** Helper: Reads the slug history ({ kind: { slug: [keys] } }) from disk once. */
+function loadSlugHistory() {
+    if (slugHistory) return slugHistory;
+    slugHistory = Object.fromEntries(SLUG_KINDS.map(kind => [kind, {}]));
+    if (SLUG_HISTORY_ENABLED && fs.existsSync(SLUG_HISTORY_PATH)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(SLUG_HISTORY_PATH, "utf8"));
+            SLUG_KINDS.forEach(kind => Object.assign(slugHistory[kind], saved[kind]));
+        } catch (error) {
+            log.error("failed to read slug history", { path: SLUG_HISTORY_PATH, err: error });
+        }
+    }
+    return slugHistory;
+}
+
+/**
+ * Helper: Adds every current slug and alias to the slug history and writes it to disk
+ * (temporary file + rename) when something new was added.
+ */
+function recordSlugHistory(registry) {
+    const history = loadSlugHistory();
+    let changed = false;
+    SLUG_KINDS.forEach(kind => {
+        registry[kind].bySlug.forEach(({ keys }, slug) => {
+            const known = history[kind][slug] || [];
+            const merged = [...new Set([...known, ...keys])];
+            if (merged.length !== known.length) {
+                history[kind][slug] = merged;
+                changed = true;
+            }
+        });
+    });
+    if (!changed || !SLUG_HISTORY_ENABLED) return;
+    const tmpPath = `${SLUG_HISTORY_PATH}.tmp`;
+    fs.promises.mkdir(path.dirname(SLUG_HISTORY_PATH), { recursive: true })
+        .then(() => fs.promises.writeFile(tmpPath, JSON.stringify(history)))
+        .then(() => fs.promises.rename(tmpPath, SLUG_HISTORY_PATH))
+        .catch(error => log.error("failed to write slug history", { path: SLUG_HISTORY_PATH, err: error }));
+}
+
+/**
+ * Helper: Returns the slug registry, rebuilding it only when one of the cached tables it is
+ * built from has been reloaded.
+ */
+async function loadSlugRegistry() {
+    const [store, divisions, categories, contentHubs] = await Promise.all([
+        loadMainStore(), loadAllDivisions(), loadAllCategories(), loadAllContentHubs()
+    ]);
+    const sources = [store, divisions, categories, contentHubs];
+    if (sources.some((source, i) => source !== slugRegistryCache.sources[i])) {
+        const registry = buildSlugRegistry({ store, divisions, categories, contentHubs, history: loadSlugHistory().datasets });
+        recordSlugHistory(registry);
+        slugRegistryCache = { sources, registry };
+    }
+    return slugRegistryCache.registry;
+}
+
+/**
+ * Helper: Resolves a URL segment to { slug, keys, redirect }. The segment may be the canonical
+ * slug, a localized alias, a name ("Artificial Intelligence", compared by its slug) or a slug
+ * used before a title changed. `redirect` is true when it is not the canonical slug, so the route
+ * should answer 301 with the canonical URL. Returns null when nothing matches.
+ */
+function resolveSlug(registry, kind, value) {
+    const requested = slugify(value);
+    const index = registry[kind];
+    const entry = index.bySlug.get(requested);
+    if (entry) return { slug: entry.slug, keys: entry.keys, redirect: entry.slug !== requested };
+    const previousKeys = loadSlugHistory()[kind][requested] || [];
+    const slug = previousKeys.map(key => index.slugByKey.get(key)).find(Boolean);
+    return slug ? { slug, keys: index.bySlug.get(slug).keys, redirect: true } : null;
+}
+
+/**
+ * Helper: Resolves a dataset reference: a numeric ID ("2042"), a division ID ("d15") or a dataset
+ * slug ("inflation"). Returns { id, slug, redirect } or null.
+ */
+async function resolveDatasetRef(value) {
+    const registry = await loadSlugRegistry();
+    if (/^d?\d+$/.test(value)) {
+        return { id: value, slug: registry.datasets.slugByKey.get(value) || null, redirect: false };
+    }
+    const resolved = resolveSlug(registry, "datasets", value);
+    return resolved ? { id: resolved.keys[0], slug: resolved.slug, redirect: resolved.redirect } : null;
+}
+
+/** Helper: Appends the query string of the request to a redirect target. */
+function withQueryString(req, target) {
+    const queryIndex = req.originalUrl.indexOf("?");
+    return queryIndex === -1 ? target : target + req.originalUrl.slice(queryIndex);
+}
+
+/**
+ * Helper: Resolves `:numericId` of the /data routes (ID or slug) to a dataset ID. For an alias or
+ * an old slug it answers 301 with the canonical URL (`suffix` is the rest of the path, e.g.
+ * "/meta") and returns null. Throws ApiError(404) when no dataset matches.
+ */
+async function resolveDatasetParam(req, res, suffix = "") {
+    const ref = await resolveDatasetRef(req.params.numericId);
+    if (!ref) throw new ApiError(404, `No dataset with the ID or slug "${req.params.numericId}".`);
+    if (ref.redirect) {
+        res.redirect(301, withQueryString(req, `/data/${ref.slug}${suffix}`));
+        return null;
+    }
+    return ref.id;
+}
+
+// --- OPENAPI (specyfikacja, strona dokumentacji, walidacja parametrów) ---
+let openApiSpec = null;
+let openApiOperations = null;
+
+/**
+ * Helper: Builds the OpenAPI 3 description of the API. It is built on first use because it lists
+ * values defined further down this file (DATA_FORMATS, DATA_TRANSFORMS, LIST_SORT_FIELDS, ...).
+ * The query and path parameters declared here are enforced by validateRequestParameters.
+ */
+function buildOpenApiSpec() {
+    const param = name => ({ $ref: `#/components/parameters/${name}` });
+    const schema = name => ({ $ref: `#/components/schemas/${name}` });
+    const jsonResponse = (description, schemaName) => ({
+        description,
+        content: { "application/json": { schema: schema(schemaName) } }
+    });
+    const errorResponses = {
+        400: jsonResponse("Invalid parameters", "Error"),
+        404: jsonResponse("Not found", "Error"),
+        500: jsonResponse("Server error", "Error"),
+        503: jsonResponse("Upstream data source unavailable", "Error")
+    };
+    const pathParam = (name, description, extra = {}) => ({ name, in: "path", required: true, description, schema: { type: "string", ...extra } });
+    const queryParam = (name, description, schemaValue = { type: "string" }, extra = {}) => ({ name, in: "query", description, schema: schemaValue, ...extra });
+    const listParams = ["updatedSince", "nextUpdateBefore", "frequency", "source", "sort", "page", "pageSize"].map(param);
+    const newsParams = ["since", "updatedSince", "nextUpdateBefore", "frequency", "source", "newsSort", "page", "pageSize", "newsFormat"].map(param);
+    const newsResponse = {
+        description: "News items, or a feed of them for `format=rss|atom|jsonfeed`",
+        content: {
+            "application/json": { schema: schema("News") },
+            "application/rss+xml": {},
+            "application/atom+xml": {},
+            "application/feed+json": {}
+        }
+    };
+    const get = (tag, summary, parameters, responses, extra = {}) => ({
+        get: { tags: [tag], summary, parameters, responses: { ...responses, ...errorResponses }, ...extra }
+    });
+    const admin = (summary, method = "get", parameters = []) => ({
+        [method]: {
+            tags: ["Admin"],
+            summary,
+            security: [{ apiKey: [] }],
+            parameters,
+            responses: { 200: { description: "OK" }, 403: jsonResponse("Missing or invalid API key", "Error") }
+        }
+    });
+    const country = pathParam("country", "Country slug, e.g. `poland` or `eu`.");
+    const datasetId = pathParam("id", "Dataset ID: a numeric main table ID (`2042`), `d` + numeric division ID (`d15`) or the dataset slug (`inflation`).",
+        { pattern: "^[A-Za-z0-9-]+$" });
+    const category = pathParam("category", "Category slug (`economy`, `labour-market`) or a localized alias (`gospodarka`).");
+    const moved = { 301: { description: "Localized alias or previous slug: moved to the canonical slug URL" } };
+    const dataParams = [param("lang"), param("from"), param("to"), param("columns"), param("last"), param("transform")];
+
+    return {
+        openapi: "3.0.3",
+        info: {
+            title: "WorldIndex API",
+            version: require("./package.json").version,
+            description: "Aggregated public datasets (GUS, Eurostat and more) in a multilingual, machine-readable format. See the README for details."
+        },
+        tags: [
+            { name: "Datasets", description: "Discovery and listing" },
+            { name: "Data", description: "Dataset contents and export formats" },
+            { name: "News", description: "AI-generated news comments" },
+            { name: "Status", description: "Health, readiness and metrics" },
+            { name: "Admin", description: "Cache management and diagnostics (x-api-key)" }
+        ],
+        paths: {
+            "/health": get("Status", "Liveness probe", [], { 200: { description: "The process is running" } }),
+            "/ready": get("Status", "Readiness probe", [], { 200: { description: "Caches are loaded and the upstream is reachable" } }),
+            "/metrics": get("Status", "Prometheus metrics", [], { 200: { description: "Metrics in the Prometheus text format", content: { "text/plain": {} } } }),
+            "/countries": get("Datasets", "List countries", [], { 200: jsonResponse("Countries", "CountryList") }),
+            "/categories/{country}": get("Datasets", "List categories of a country", [country, param("lang")], { 200: jsonResponse("Categories", "CategoryList") }),
+            "/contenthubs/{country}": get("Datasets", "List content hubs of a country", [country, param("lang")], { 200: jsonResponse("Content hubs", "ContentHubList") }),
+            "/datasets": get("Datasets", "List all datasets", [
+                queryParam("country", "Only datasets of this country (e.g. `poland`, `eu`)."),
+                queryParam("category", "Only datasets of this category (English name, e.g. `Economy`)."),
+                queryParam("contentHub", "Only datasets of this content hub (English title)."),
+                param("lang"), ...listParams
+            ], { 200: jsonResponse("Datasets", "DatasetList") }),
+            "/dataset/{country}": get("Datasets", "List datasets of a country", [country, param("lang"), ...listParams], { 200: jsonResponse("Datasets", "DatasetList") }),
+            "/dataset/{country}/{category}": get("Datasets", "List datasets of a country and category", [
+                country, category, param("lang"), ...listParams
+            ], { 200: jsonResponse("Datasets", "DatasetList"), ...moved }),
+            "/dataset/by-hub/{hubTitle}": get("Datasets", "List datasets of a content hub", [
+                pathParam("hubTitle", "Content hub slug (`artificial-intelligence`), a localized alias or the English title."), param("lang"), ...listParams
+            ], { 200: jsonResponse("Datasets", "DatasetList"), ...moved }),
+            "/dataset/{country}/news": get("News", "AI comments for a country", [country, param("lang"), ...newsParams], { 200: newsResponse }),
+            "/dataset/{country}/{category}/news": get("News", "AI comments for a country and category", [country, category, param("lang"), ...newsParams], {
+                200: newsResponse,
+                301: { description: "Localized alias or previous slug of the category, or a content hub: moved to the canonical URL" }
+            }),
+            "/dataset/{country}/by-hub/{hub}/news": get("News", "AI comments for a country and content hub", [
+                country, pathParam("hub", "Content hub slug (`artificial-intelligence`), a localized alias or the English title."), param("lang"), ...newsParams
+            ], { 200: newsResponse, ...moved }),
+            "/search": get("Datasets", "Full-text search", [
+                queryParam("q", "Search query, matched in every language.", { type: "string", minLength: 1 }, { required: true }),
+                queryParam("country", "Only results of this country (facet value)."),
+                queryParam("category", "Only results of this category (facet value)."),
+                queryParam("contentHub", "Only results of this content hub (facet value)."),
+                param("lang"), param("page"), param("pageSize")
+            ], { 200: jsonResponse("Ranked results with highlights and facets", "SearchResponse") }),
+            "/translations/coverage": get("Datasets", "Translation coverage report", [
+                queryParam("country", "Only datasets of this country (e.g. `poland`)."),
+                queryParam("category", "Only datasets of this category (e.g. `economy`)."),
+                queryParam("contentHub", "Only datasets of this content hub (e.g. `economic-situation`)."),
+                queryParam("language", "Comma-separated languages to check (e.g. `cs,sk,uk`); all supported languages by default.",
+                    { type: "string", format: "language-list" }),
+                param("lang"), param("page"), param("pageSize")
+            ], { 200: jsonResponse("Missing and empty translations per dataset and field, least translated first", "TranslationCoverage") }),
+            "/data/{id}": get("Data", "Full dataset", [datasetId, ...dataParams, param("format")], {
+                ...moved,
+                200: {
+                    description: "The dataset in the requested format",
+                    content: {
+                        "application/json": { schema: schema("Dataset") },
+                        "text/csv": {},
+                        "text/tab-separated-values": {},
+                        "application/x-ndjson": {},
+                        "application/vnd.sdmx.data+json;version=1.0.0": {},
+                        "application/vnd.sdmx.genericdata+xml;version=2.1": {}
+                    }
+                }
+            }),
+            "/data/{id}/meta": get("Data", "Dataset metadata without the data table", [datasetId, param("lang")], { 200: { description: "Metadata" }, ...moved }),
+            "/data/{id}/unified": get("Data", "Main dataset together with its division datasets and comments", [
+                pathParam("id", "Numeric main table ID or the slug of a main dataset.", { pattern: "^[A-Za-z0-9-]+$" }), param("lang")
+            ], { 200: { description: "Unified dataset" }, ...moved }),
+            "/data/{id}/structure": get("Data", "SDMX data structure definition", [datasetId, param("lang")], {
+                ...moved,
+                200: { description: "SDMX-ML 2.1 Structure message", content: { "application/vnd.sdmx.structure+xml;version=2.1": {} } }
+            }),
+            "/compare": get("Data", "Compare datasets aligned on their periods", [
+                queryParam("ids", "Comma-separated dataset IDs or slugs, optionally with a column (`2050:women`).",
+                    { type: "string", pattern: "^\\s*[\\w-]+(:[\\w-]+)?(\\s*,\\s*[\\w-]+(:[\\w-]+)?)*\\s*$" }, { required: true }),
+                queryParam("rebase", "Index every series to this period (= 100), e.g. `2021`."),
+                param("lang"), param("from"), param("to"), param("last"), param("transform"),
+                queryParam("format", "Response format (also negotiated through the Accept header).",
+                    { type: "string", enum: Object.keys(COMPARE_FORMATS) }, { "x-case-insensitive": true })
+            ], { 200: jsonResponse("Comparison table", "CompareResponse") }),
+            "/cache/refresh": {
+                post: {
+                    tags: ["Admin"],
+                    summary: "Invalidate and reload table caches",
+                    security: [{ apiKey: [] }],
+                    parameters: [queryParam("table", "Only this table, e.g. `categories` or `content-hubs`.")],
+                    responses: { 200: { description: "Reload started" }, 400: jsonResponse("Unknown table", "Error"), 403: jsonResponse("Missing or invalid API key", "Error") }
+                }
+            },
+            "/cache/refresh-content-hubs": admin("Reload the content hubs cache", "post"),
+            "/admin/cache": admin("State of every table cache"),
+            "/admin/cache/{table}/reload": admin("Reload one table cache", "post", [pathParam("table", "Table name, e.g. `main`.")]),
+            "/admin/timings": admin("Recent cache load timings"),
+            "/admin/schema": admin("Tables and fields of the data source"),
+            "/admin/divisions": admin("Division records"),
+            "/admin/views": admin("Views of the main table"),
+            "/admin/divisions-structure": admin("Fields used by division records")
+        },
+        components: {
+            securitySchemes: { apiKey: { type: "apiKey", in: "header", name: "x-api-key" } },
+            parameters: {
+                lang: queryParam("lang", `Language of the response: an ISO 639-1 / BCP 47 code (${Object.values(LANGUAGE_TAGS).join(", ")}; region subtags such as \`pt-BR\` are accepted) or a field suffix such as \`CZ\`. Without it the Accept-Language header is used. Missing translations fall back along the language's fallback chain, ending in English; the language served is reported in Content-Language and \`meta.language\`.`,
+                    { type: "string", format: "language", default: "en" }),
+                format: queryParam("format", "Response format (also negotiated through the Accept header).",
+                    { type: "string", enum: Object.keys(DATA_FORMATS), default: "json" }, { "x-case-insensitive": true }),
+                from: queryParam("from", "First period to include, e.g. `2020`, `2024-Q1`, `2024-10`."),
+                to: queryParam("to", "Last period to include (inclusive)."),
+                columns: queryParam("columns", "Comma-separated column codes or names; the period column is always kept."),
+                last: queryParam("last", "Only the N most recent rows.", { type: "integer", minimum: 1 }),
+                transform: queryParam("transform", `Comma-separated transforms: ${Object.keys(DATA_TRANSFORMS).join(", ")} (index:<base period>, rolling_mean:<n>).`),
+                updatedSince: queryParam("updatedSince", "Only datasets updated on or after this date.", { type: "string", format: "date" }),
+                nextUpdateBefore: queryParam("nextUpdateBefore", "Only datasets whose next update is before this date.", { type: "string", format: "date" }),
+                frequency: queryParam("frequency", `Update frequency (as in \`meta.frequency\` of /data/{id}); ${Object.keys(FREQUENCY_ALIASES).join(", ")} are accepted as aliases.`,
+                    { type: "string", enum: [...FREQUENCIES, ...Object.keys(FREQUENCY_ALIASES)] }, { "x-case-insensitive": true }),
+                source: queryParam("source", "Part of the source name, e.g. `gus`."),
+                sort: queryParam("sort", "Sort field; prefix with `-` for descending order.",
+                    { type: "string", enum: [...LIST_SORT_FIELDS, ...LIST_SORT_FIELDS.map(f => `-${f}`)], default: LIST_DEFAULT_SORT }),
+                since: queryParam("since", "Only news dated on or after this date (the comment date, or the data's last update for undated comments).", { type: "string", format: "date" }),
+                newsSort: queryParam("sort", "Sort field; prefix with `-` for descending order.",
+                    { type: "string", enum: [...NEWS_SORT_FIELDS, ...NEWS_SORT_FIELDS.map(f => `-${f}`)], default: NEWS_DEFAULT_SORT }),
+                newsFormat: queryParam("format", "Response format: JSON or an RSS 2.0, Atom or JSON Feed 1.1 feed (also negotiated through the Accept header).",
+                    { type: "string", enum: Object.keys(NEWS_FORMATS), default: "json" }, { "x-case-insensitive": true }),
+                page: queryParam("page", "Page number (1-based).", { type: "integer", minimum: 1 }),
+                pageSize: queryParam("pageSize", "Items per page.", { type: "integer", minimum: 1, maximum: 100 })
+            },
+            schemas: {
+                Error: { type: "object", properties: { error: { type: "string" } }, required: ["error"] },
+                CountryList: { type: "object", properties: { count: { type: "integer" }, countries: { type: "array", items: { type: "string" } } } },
+                CategoryList: {
+                    type: "object",
+                    properties: { count: { type: "integer" }, categories: { type: "array", items: { type: "string" } }, items: { type: "array", items: schema("NamedSlug") } }
+                },
+                ContentHubList: {
+                    type: "object",
+                    properties: { count: { type: "integer" }, contentHubs: { type: "array", items: { type: "string" } }, items: { type: "array", items: schema("NamedSlug") } }
+                },
+                NamedSlug: { type: "object", properties: { name: { type: "string" }, slug: { type: "string" } } },
+                DatasetListItem: {
+                    type: "object",
+                    properties: {
+                        id: { oneOf: [{ type: "integer" }, { type: "string" }], example: 2042 },
+                        slug: { type: "string", example: "inflation" },
+                        type: { type: "string", enum: ["dataset", "division"] },
+                        meta: {
+                            type: "object",
+                            properties: {
+                                title: { type: "string" },
+                                language: { type: "string", description: "Language of the title (after fallbacks), e.g. `cs`" },
+                                description: { type: "string" },
+                                country: { type: "string", nullable: true },
+                                category: { type: "string", nullable: true },
+                                updateFrequency: { type: "string" },
+                                sourceName: { type: "string" },
+                                lastUpdate: { type: "string" },
+                                nextUpdateTime: { type: "string" }
+                            }
+                        }
+                    }
+                },
+                DatasetList: {
+                    type: "object",
+                    properties: {
+                        count: { type: "integer" },
+                        total: { type: "integer" },
+                        page: { type: "integer" },
+                        pageSize: { type: "integer" },
+                        totalPages: { type: "integer" },
+                        items: { type: "array", items: schema("DatasetListItem") }
+                    }
+                },
+                Dataset: {
+                    type: "object",
+                    properties: {
+                        meta: { type: "object", additionalProperties: true, description: "Title, description, unit, source, frequency, applied transforms, ..." },
+                        data: { type: "array", items: { type: "object", additionalProperties: true }, description: "Rows with an ISO 8601 `period` and one property per column" },
+                        translations: { type: "object", additionalProperties: { type: "string" } }
+                    }
+                },
+                NewsItem: {
+                    allOf: [schema("DatasetListItem"), {
+                        type: "object",
+                        properties: {
+                            date: { type: "string", nullable: true, description: "Comment date, or the data's last update when the comment is undated" },
+                            contentHubs: { type: "array", items: schema("NamedSlug") },
+                            comment: {
+                                type: "object",
+                                properties: {
+                                    text: { type: "string" },
+                                    language: { type: "string", description: "Language of the comment (after fallbacks), e.g. `pl`" },
+                                    date: { type: "string", format: "date-time", nullable: true },
+                                    outdated: { type: "boolean", nullable: true, description: "The comment predates the data's last update; null when either date is unknown" }
+                                }
+                            }
+                        }
+                    }]
+                },
+                News: {
+                    type: "object",
+                    properties: {
+                        count: { type: "integer" },
+                        total: { type: "integer" },
+                        page: { type: "integer" },
+                        pageSize: { type: "integer" },
+                        totalPages: { type: "integer" },
+                        items: { type: "array", items: schema("NewsItem") }
+                    }
+                },
+                SearchResponse: {
+                    type: "object",
+                    properties: {
+                        query: { type: "string" },
+                        total: { type: "integer" },
+                        page: { type: "integer" },
+                        pageSize: { type: "integer" },
+                        results: { type: "array", items: { type: "object", additionalProperties: true } },
+                        facets: { type: "object", additionalProperties: { type: "array", items: { type: "object", properties: { value: { type: "string" }, count: { type: "integer" } } } } }
+                    }
+                },
+                TranslationCoverage: {
+                    type: "object",
+                    properties: {
+                        languages: { type: "array", items: { type: "string" } },
+                        summary: { type: "object", additionalProperties: true, description: "Totals per field and per language" },
+                        total: { type: "integer" },
+                        page: { type: "integer" },
+                        pageSize: { type: "integer" },
+                        datasets: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    id: { oneOf: [{ type: "integer" }, { type: "string" }] },
+                                    type: { type: "string", enum: ["dataset", "division"] },
+                                    title: { type: "string" },
+                                    coverage: { type: "number" },
+                                    fields: {
+                                        type: "object",
+                                        additionalProperties: {
+                                            type: "object",
+                                            properties: {
+                                                translated: { type: "array", items: { type: "string" } },
+                                                missing: { type: "array", items: { type: "string" } },
+                                                empty: { type: "array", items: { type: "string" } }
+                                            }
+                                        }
+                                    },
+                                    unlinked: { type: "array", items: { type: "string" } },
+                                    dataHeaderMismatches: {
+                                        type: "array",
+                                        items: { type: "object", properties: { language: { type: "string" }, headerColumns: { type: "integer" }, dataColumns: { type: "integer" } } }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                CompareResponse: {
+                    type: "object",
+                    properties: {
+                        count: { type: "integer" },
+                        series: { type: "array", items: { type: "object", additionalProperties: true } },
+                        data: { type: "array", items: { type: "object", additionalProperties: true } }
+                    }
+                }
+            }
+        }
+    };
+}
+
+/** Helper: Returns the OpenAPI document, building it on first use. */
+function getOpenApiSpec() {
+    if (!openApiSpec) openApiSpec = buildOpenApiSpec();
+    return openApiSpec;
+}
+
+/**
+ * Helper: Compiles the OpenAPI paths into matchers for validateRequestParameters.
+ * Paths with more literal segments are tried first (/dataset/by-hub/{hubTitle}
+ * before /dataset/{country}/{category}), like the route order in Express.
+ */
+function getOpenApiOperations() {
+    if (openApiOperations) return openApiOperations;
+    const spec = getOpenApiSpec();
+    const resolve = p => (p.$ref ? spec.components.parameters[p.$ref.split("/").pop()] : p);
+    openApiOperations = [];
+    for (const [template, methods] of Object.entries(spec.paths)) {
+        const segments = template.split("/").slice(1);
+        const pattern = new RegExp("^/" + segments.map(s => (s.startsWith("{") ? "([^/]+)" : s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))).join("/") + "/?$");
+        const pathParamNames = segments.filter(s => s.startsWith("{")).map(s => s.slice(1, -1));
+        for (const [method, operation] of Object.entries(methods)) {
+            openApiOperations.push({
+                method: method.toUpperCase(),
+                pattern,
+                pathParamNames,
+                literalSegments: segments.filter(s => !s.startsWith("{")).length,
+                parameters: (operation.parameters || []).map(resolve)
+            });
+        }
+    }
+    openApiOperations.sort((a, b) => b.literalSegments - a.literalSegments);
+    return openApiOperations;
+}
+
+/**
+ * Helper: Checks one parameter value against its OpenAPI schema.
+ * Returns an error message, or null when the value is valid.
+ */
+function validateParameterValue(parameter, value) {
+    const { schema } = parameter;
+    if (Array.isArray(value) || typeof value !== "string") {
+        return "must be given once";
+    }
+    if (schema.type === "integer") {
+        if (!/^-?\d+$/.test(value)) return `"${value}" is not an integer`;
+        if (schema.minimum !== undefined && Number(value) < schema.minimum) return `must be at least ${schema.minimum}`;
+        if (schema.maximum !== undefined && Number(value) > schema.maximum) return `must be at most ${schema.maximum}`;
+        return null;
+    }
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) return "must not be empty";
+    if (schema.enum) {
+        const caseInsensitive = parameter["x-case-insensitive"];
+        const allowed = schema.enum.some(v => (caseInsensitive ? v.toLowerCase() === value.toLowerCase() : v === value));
+        if (!allowed) return `"${value}" is not one of: ${schema.enum.join(", ")}`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return `"${value}" has an invalid format`;
+    if (schema.format === "language" && !normalizeLanguage(value)) {
+        return `"${value}" is not a supported language (${Object.values(LANGUAGE_TAGS).join(", ")})`;
+    }
+    if (schema.format === "language-list") {
+        const unsupported = value.split(",").map(code => code.trim()).find(code => code && !normalizeLanguage(code));
+        if (unsupported) return `"${unsupported}" is not a supported language (${Object.values(LANGUAGE_TAGS).join(", ")})`;
+    }
+    if (schema.format === "date" && (!/^\d{4}-\d{2}-\d{2}/.test(value) || isNaN(Date.parse(value)))) {
+        return `"${value}" is not a date (YYYY-MM-DD)`;
+    }
+    return null;
+}
+
+/**
+ * Middleware: Validates the query and path parameters of documented operations against the
+ * OpenAPI spec and answers 400 with a clear message instead of letting bad input reach the route.
+ * Unknown paths and undeclared query parameters are left alone.
+ */
+function validateRequestParameters(req, res, next) {
+    const operation = getOpenApiOperations().find(op => op.method === req.method && op.pattern.test(req.path));
+    if (!operation) return next();
+
+    const match = req.path.match(operation.pattern);
+    const pathValues = {};
+    try {
+        operation.pathParamNames.forEach((name, i) => { pathValues[name] = decodeURIComponent(match[i + 1]); });
+    } catch (e) {
+        return res.status(400).json({ error: "Invalid URL encoding in path." });
+    }
+
+    for (const parameter of operation.parameters) {
+        const value = parameter.in === "path" ? pathValues[parameter.name] : req.query[parameter.name];
+        if (value === undefined || value === "") {
+            if (parameter.required) {
+                return res.status(400).json({ error: `Missing required ${parameter.in} parameter "${parameter.name}".` });
+            }
+            continue;
+        }
+        const problem = validateParameterValue(parameter, value);
+        if (problem) {
+            return res.status(400).json({ error: `Invalid ${parameter.in} parameter "${parameter.name}": ${problem}.` });
+        }
+    }
+    next();
+}
+
+app.use(validateRequestParameters);
+
+app.get("/openapi.json", (req, res) => {
+    res.json(getOpenApiSpec());
+});
+
+// Interaktywna dokumentacja (Swagger UI z pakietu swagger-ui-dist, bez zewnętrznego CDN)
+app.use("/docs/assets", express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+app.get("/docs", (req, res) => {
+    res.type("html").send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>WorldIndex API – documentation</title>
+  <link rel="stylesheet" href="docs/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="docs/assets/swagger-ui-bundle.js"></script>
+  <script>window.ui = SwaggerUIBundle({ url: "openapi.json", dom_id: "#swagger-ui" });</script>
+</body>
+</html>
+`);
+});
+
+// --- HEALTH / READINESS ---
+
+// Proces działa
+app.get("/health", (req, res) => {
+    res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Gotowość: wszystkie tabele załadowane, a upstream był osiągalny w ostatnim czasie
+app.get("/ready", (req, res) => {
+    const now = Date.now();
+    const tables = {};
+    let allLoaded = true;
+    for (const [key, cache] of Object.entries(tableCaches)) {
+        const loaded = cache.value !== null;
+        if (!loaded) allLoaded = false;
+        tables[key] = {
+            loaded,
+            fresh: cache.isFresh(),
+            ageSeconds: loaded ? Math.round((now - cache.loadedAt) / 1000) : null,
+            lastError: cache.lastError ? { message: cache.lastError.message, at: cache.lastError.at } : null
+        };
+    }
+    const upstreamReachable = upstreamHealth.lastSuccessAt > 0 && (now - upstreamHealth.lastSuccessAt) < READY_MAX_UPSTREAM_AGE_MS;
+    const ready = allLoaded && upstreamReachable;
+    res.status(ready ? 200 : 503).json({
+        status: ready ? "ready" : "not ready",
+        upstream: {
+            reachable: upstreamReachable,
+            lastSuccessAt: upstreamHealth.lastSuccessAt ? new Date(upstreamHealth.lastSuccessAt).toISOString() : null,
+            lastFailureAt: upstreamHealth.lastFailureAt ? new Date(upstreamHealth.lastFailureAt).toISOString() : null
+        },
+        tables
+    });
+});
+
+// Metryki w formacie tekstowym Prometheusa
+app.get("/metrics", async (req, res) => {
+    try {
+        res.set("Content-Type", metricsRegistry.contentType);
+        res.send(await metricsRegistry.metrics());
+    } catch (e) {
+        res.status(500).json({ error: e.toString() });
+    }
+});
+
+// --- PUBLIC ENDPOINTS ---
+
+app.get("/countries", async (req, res) => {
+    try {
+        const allCategories = await loadAllCategories();
+        const countriesSet = new Set();
+
+        for (const id in allCategories) {
+            const fields = allCategories[id];
+            const countryName = Array.isArray(fields.TitleEN) ? fields.TitleEN[0] : fields.TitleEN;
+            if (countryName) {
+                countriesSet.add(countryName);
+            }
+        }
+        
+        const countries = Array.from(countriesSet).sort();
+        res.json({ count: countries.length, countries });
+
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.toString() });
+    }
+});
+
+// --- LISTY ZBIORÓW (wspólny kształt elementu, filtry, sortowanie, stronicowanie) ---
+const LIST_SORT_FIELDS = ["title", "lastUpdate", "nextUpdateTime", "id"];
+const LIST_DEFAULT_SORT = "-lastUpdate";
+// Różne zapisy tej samej częstotliwości w polu UpdateFrequency
+// Jedno słownictwo częstotliwości: meta.frequency, filtr ?frequency= i enum w OpenAPI
+// (enum przyjmuje też aliasy z FREQUENCY_ALIASES, sprowadzane przez normalizeFrequency)
+const FREQUENCIES = ["daily", "weekly", "monthly", "quarterly", "yearly"];
+const FREQUENCY_ALIASES = { annual: "yearly", annually: "yearly", year: "yearly", month: "monthly", quarter: "quarterly", day: "daily", week: "weekly" };
+
+/** Helper: Normalizes an update frequency ("Yearly", "annual" → "yearly"). */
+function normalizeFrequency(value) {
+    const text = String(value || "").toLowerCase().trim();
+    return FREQUENCY_ALIASES[text] || text;
+}
+
+/**
+ * Helper: Loads what toDatasetListItem needs: the categories and metadata maps and the dataset slugs.
+ */
+async function loadListContext(lang) {
+    const [catMap, metadata, slugRegistry] = await Promise.all([loadAllCategories(), loadAllMetadata(), loadSlugRegistry()]);
+    return { lang, catMap, metadata, slugs: slugRegistry.datasets.slugByKey };
+}
+
+/**
+ * Helper: Builds the list item shared by /datasets, /dataset/:country, /dataset/:country/:category
+ * and /dataset/by-hub/:hubTitle. For divisions pass the linked main record as `mainFields`:
+ * its description, update dates, frequency and metadata take precedence, as on /data/:numericId.
+ */
+function toDatasetListItem({ id, type, fields: f, mainFields = null }, { lang, catMap, metadata, slugs }) {
+    const first = value => (Array.isArray(value) ? value[0] : value);
+    const base = mainFields || f;
+    const cf = catMap[first(f.CategorySelect)] || catMap[first(base.CategorySelect)];
+    const metadataFields = metadata[first(base.Metadata)] || {};
+    const title = findLocalized(f, "Title", lang);
+
+    return {
+        id,
+        slug: slugs.get(String(id)) || null,
+        type,
+        meta: {
+            title: title ? first(title.value) : first(f.Title),
+            language: LANGUAGE_TAGS[title ? title.lang : lang],
+            description: (mainFields && pickLocalized(mainFields, "Description", lang))
+                || pickLocalized(f, "Description", lang) || "",
+            country: (cf && first(cf.TitleEN)) || first(base.CountryEN) || null,
+            category: cf ? pickLocalized(cf, "Secondary", lang, "Secondary") || null : null,
+            updateFrequency: base.UpdateFrequency || f.UpdateFrequency || "",
+            sourceName: pickLocalized(metadataFields, "Source Name", lang) || "",
+            lastUpdate: base.UpdatedThere || f.UpdatedThere || "",
+            nextUpdateTime: base.NextUpdateTime || f.NextUpdateTime || ""
+        }
+    };
+}
+
+/** Helper: Parses a date query parameter; throws ApiError(400) when it is not a date. */
+function parseDateParam(query, name) {
+    const time = Date.parse(query[name]);
+    if (typeof query[name] !== "string" || isNaN(time)) {
+        throw new ApiError(400, `Invalid "${name}" date "${query[name]}". Use YYYY-MM-DD.`);
+    }
+    return time;
+}
+
+/**
+ * Helper: Applies the listing query parameters to list items and returns the response body.
+ * Filters: `updatedSince` (lastUpdate on or after), `nextUpdateBefore` (nextUpdateTime before),
+ * `frequency` (UpdateFrequency, e.g. monthly) and `source` (part of the source name).
+ * `sort` is one of `sortFields` (LIST_SORT_FIELDS), prefixed with "-" for descending (default "-lastUpdate").
+ * Pagination with `page`/`pageSize` is optional; without it every item is returned.
+ * Throws ApiError(400) for invalid values.
+ */
+function applyListQuery(items, query, { sortFields = LIST_SORT_FIELDS, defaultSort = LIST_DEFAULT_SORT } = {}) {
+    const filters = [];
+    if (query.updatedSince !== undefined) {
+        const since = parseDateParam(query, "updatedSince");
+        filters.push(item => Date.parse(item.meta.lastUpdate) >= since);
+    }
+    if (query.nextUpdateBefore !== undefined) {
+        const before = parseDateParam(query, "nextUpdateBefore");
+        filters.push(item => Date.parse(item.meta.nextUpdateTime) < before);
+    }
+    if (query.frequency) {
+        const frequency = normalizeFrequency(query.frequency);
+        filters.push(item => normalizeFrequency(item.meta.updateFrequency) === frequency);
+    }
+    if (query.source) {
+        const source = String(query.source).toLowerCase();
+        filters.push(item => item.meta.sourceName.toLowerCase().includes(source));
+    }
+    let result = items.filter(item => filters.every(filter => filter(item)));
+
+    const sort = String(query.sort || defaultSort);
+    const descending = sort.startsWith("-");
+    const sortField = descending ? sort.slice(1) : sort;
+    if (!sortFields.includes(sortField)) {
+        throw new ApiError(400, `Invalid "sort" value "${sort}". Use one of: ${sortFields.join(", ")} (prefix with "-" for descending).`);
+    }
+    const compare = {
+        title: (a, b) => String(a.meta.title || "").localeCompare(String(b.meta.title || ""), undefined, { sensitivity: "base" }),
+        id: (a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true }),
+        lastUpdate: (a, b) => (Date.parse(a.meta.lastUpdate) || 0) - (Date.parse(b.meta.lastUpdate) || 0),
+        nextUpdateTime: (a, b) => (Date.parse(a.meta.nextUpdateTime) || 0) - (Date.parse(b.meta.nextUpdateTime) || 0),
+        date: (a, b) => (Date.parse(a.date) || 0) - (Date.parse(b.date) || 0)
+    }[sortField];
+    result = [...result].sort((a, b) => (descending ? compare(b, a) : compare(a, b)));
+
+    const total = result.length;
+    if (query.page === undefined && query.pageSize === undefined) {
+        return { count: total, total, items: result };
+    }
+    const { page, pageSize, offset } = parsePagination(query);
+    const pageItems = result.slice(offset, offset + pageSize);
+    return { count: pageItems.length, total, page, pageSize, totalPages: Math.ceil(total / pageSize), items: pageItems };
+}
+
+// ZAKTUALIZOWANY ENDPOINT: /datasets - teraz zawiera dane z obu tabel
+app.get("/datasets", async (req, res) => {
+    const lang = req.lang;
+    const country = req.query.country;
+    const category = req.query.category;
+    const contentHub = req.query.contentHub;
+
+    log.debug("listing datasets", { lang, country, category, contentHub });
+
+    try {
+        const store = await loadMainStore();
+        let allRecords = country
+            ? getMainRecordsBy(store, "byCountry", getCountryNameForFiltering(country))
+            : store.records;
+
+        if (category) {
+            const countryForCatLookup = country ? getCountryNameForFiltering(country) : 'Poland';
+            const categoryId = await getCategoryIdByName(category, countryForCatLookup);
+            if (categoryId) {
+                const inCategory = new Set(getMainRecordsBy(store, "byCategory", categoryId));
+                allRecords = allRecords.filter(r => inCategory.has(r));
+            } else {
+                return res.status(404).json({ error: `Category "${category}" not found for country "${countryForCatLookup}".` });
+            }
+        }
+
+        if (contentHub) {
+            const hubId = await getContentHubId(contentHub);
+            if (hubId) {
+                const inHub = new Set(getMainRecordsBy(store, "byContentHub", hubId));
+                allRecords = allRecords.filter(r => inHub.has(r));
+            } else {
+                return res.status(404).json({ error: `Content hub "${contentHub}" not found.` });
+            }
+        }
+
+        if (allRecords.length === 0) {
+            return res.status(404).json({ error: `No records found for the given criteria in /datasets.` });
+        }
+
+        const context = await loadListContext(lang);
+        const items = allRecords
+            .filter(r => {
+                const isValidTitle = r.fields.Title && r.fields.Title.trim();
+                return isValidTitle;
+            })
+            .map(r => toDatasetListItem({ id: r.fields.DataID || r.id, type: "dataset", fields: r.fields }, context));
+
+        res.json(applyListQuery(items, req.query));
+
+    } catch (e) {
+        if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+        res.status(e.status || 500).json({ error: e.toString() });
+    }
+});
+
+// ZAKTUALIZOWANY ENDPOINT: /data/:numericId/meta - teraz zawiera dane z obu tabel
+app.get("/data/:numericId/meta", async (req, res) => {
+    const lang = req.lang;
+    try {
+        const idParam = await resolveDatasetParam(req, res, "/meta");
+        if (!idParam) return;
+        const isDivision = idParam.startsWith('d');
+        const numericId = isDivision ? parseInt(idParam.substring(1)) : parseInt(idParam);
+        if (isNaN(numericId)) {
+            return res.status(400).json({ error: "Invalid ID. Please provide a valid numeric ID or 'd' + numeric ID for division records." });
+        }
+        let record = null;
+        let f = null;
+        let polandMetadataFields = null;
+        if (isDivision) {
+            // Fetch from Divisions table
+            const allDivisions = await loadAllDivisions();
+            for (const divisionId in allDivisions) {
+                const divisionFields = allDivisions[divisionId];
+                if (divisionFields.DataID === numericId) {
+                    record = { id: divisionId, fields: divisionFields };
+                    // Kopia, żeby uzupełnienia z rekordu głównego nie trafiały do cache
+                    f = { ...divisionFields };
+                    break;
+                }
+            }
+            if (!record) {
+                return res.status(404).json({ error: `No division data for ID "d${numericId}"` });
+            }
+            // For division records, try to get metadata from linked Poland record
+            const mainDataIds = f.Main_Data;
+            if (mainDataIds && Array.isArray(mainDataIds) && mainDataIds.length > 0) {
+                const mainDataId = mainDataIds[0];
+                const store = await loadMainStore();
+                const linkedPolandRecord = store.byId.get(mainDataId);
+                if (linkedPolandRecord) {
+                    const polandFields = linkedPolandRecord.fields;
+                    // Daty aktualizacji jak w /data/d…: z rekordu głównego
+                    f.UpdateFrequency = polandFields.UpdateFrequency || f.UpdateFrequency;
+                    f.UpdatedThere = polandFields.UpdatedThere || f.UpdatedThere;
+                    f.NextUpdateTime = polandFields.NextUpdateTime || f.NextUpdateTime;
+                    polandMetadataFields = {};
+                    const polandMetadataIds = polandFields.Metadata || [];
+                    if (Array.isArray(polandMetadataIds) && polandMetadataIds.length > 0) {
+                        const allMetadata = await loadAllMetadata();
+                        polandMetadataFields = allMetadata[polandMetadataIds[0]] || {};
+                    }
+                }
+            }
+        } else {
+            // Fetch from Poland table
+            const store = await loadMainStore();
+            record = store.byDataId.get(numericId);
+            if (!record) {
+                return res.status(404).json({ error: `No data for ID "${numericId}"` });
+            }
+            f = record.fields;
+        }
+        const title = findLocalized(f, "Title", lang);
+        const meta = {
+            title: title ? (Array.isArray(title.value) ? title.value[0] : title.value) : ((Array.isArray(f.Title) ? f.Title[0] : f.Title) || ""),
+            slug: (await loadSlugRegistry()).datasets.slugByKey.get(idParam) || null,
+            language: LANGUAGE_TAGS[title ? title.lang : lang],
+            description: pickLocalized(f, "Description", lang) || "",
+            updateFrequency: f.UpdateFrequency || "",
+            lastUpdate: f.UpdatedThere || "",
+            nextUpdateTime: f.NextUpdateTime || "",
+            category: undefined,
+            contentHub: undefined,
+            summary: undefined,
+            sourceName: undefined,
+            unit: undefined
+        };
+        let metadataFields = {};
+        const metadataIds = f.Metadata || [];
+        if (Array.isArray(metadataIds) && metadataIds.length > 0) {
+            const allMetadata = await loadAllMetadata();
+            metadataFields = allMetadata[metadataIds[0]] || {};
+        }
+        const catMap = await loadAllCategories();
+        const categorySelectIds = f.CategorySelect || [];
+        const contentHubValue = f['Content hub'];
+        let aiCommentValue = null;
+        if (isDivision) {
+            aiCommentValue = pickLocalized(f, "AIComment", lang);
+        } else {
+            const allComments = await loadAllComments();
+            const linkedCommentRecordIds = f.Comment;
+            if (Array.isArray(linkedCommentRecordIds) && linkedCommentRecordIds.length > 0) {
+                const commentRecordId = linkedCommentRecordIds[0];
+                const commentFields = allComments[commentRecordId];
+                if (commentFields) {
+                    aiCommentValue = pickLocalized(commentFields, "AIComment", lang);
+                }
+            }
+        }
+        // Set meta.category for both Poland and Division records using CategorySelect, but use SecondaryEN (or language-specific Secondary) from Categories table
+        let categorySet = false;
+        if (Array.isArray(categorySelectIds) && categorySelectIds.length) {
+            const catFields = catMap[categorySelectIds[0]];
+            if (catFields) {
+                meta.category = pickLocalized(catFields, "Secondary", lang) || null;
+                categorySet = true;
+            }
+        }
+        // For Division records, if category is still not set, try to get it from linked Poland record
+        if (isDivision && !categorySet && f.Main_Data && Array.isArray(f.Main_Data) && f.Main_Data.length > 0) {
+            const mainDataId = f.Main_Data[0];
+            const store = await loadMainStore();
+            const linkedPolandRecord = store.byId.get(mainDataId);
+            if (linkedPolandRecord) {
+                const polandCategorySelectIds = linkedPolandRecord.fields.CategorySelect || [];
+                if (Array.isArray(polandCategorySelectIds) && polandCategorySelectIds.length) {
+                    const catFields = catMap[polandCategorySelectIds[0]];
+                    if (catFields) {
+                        meta.category = pickLocalized(catFields, "Secondary", lang) || null;
+                    }
+                }
+            }
+        }
+        if (contentHubValue && Array.isArray(contentHubValue) && contentHubValue.length > 0) {
+            meta.contentHub = contentHubValue.join(', ');
+        }
+        if (aiCommentValue) {
+            meta.summary = aiCommentValue;
+        }
+        if (isDivision && polandMetadataFields) {
+            meta.sourceName = pickLocalized(polandMetadataFields, "Source Name", lang)
+                || polandMetadataFields["Source Name"]
+                || "";
+            meta.unit = pickLocalized(polandMetadataFields, "Unit", lang)
+                || polandMetadataFields.Unit
+                || "";
+        } else {
+            meta.sourceName = pickLocalized(metadataFields, "Source Name", lang)
+                || metadataFields["Source Name"]
+                || f.sourceName
+                || "";
+            meta.unit = pickLocalized(metadataFields, "Unit", lang)
+                || metadataFields.Unit
+                || pickLocalized(f, "Unit", lang)
+                || f.unit
+                || "";
+        }
+        res.json({ meta });
+    } catch (e) {
+        if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+        res.status(e.status || 500).json({ error: e.toString() });
+    }
+});
+
+// Unieważnia cache (wszystkie tabele albo jedną: ?table=categories) i przeładowuje go w tle.
+// Do czasu załadowania nowych danych serwowane są poprzednie.
+app.post("/cache/refresh", requireApiKey, (req, res) => {
+    const tableName = req.query.table || (req.body && req.body.table);
+    let caches = Object.values(tableCaches);
+    if (tableName) {
+        const cache = findTableCache(tableName);
+        if (!cache) {
+            return res.status(400).json({ error: `Unknown table "${tableName}". Available tables: ${Object.keys(tableCaches).join(", ")}.` });
+        }
+        caches = [cache];
+    }
+    caches.forEach(cache => {
+        cache.invalidate();
+        cache.revalidate();
+    });
+    res.json({
+        message: "Cache has been invalidated and is being reloaded in the background.",
+        tables: caches.map(cache => cache.name)
+    });
+});
+
+// Debug endpoint to refresh content hubs cache only
+app.post("/cache/refresh-content-hubs", requireApiKey, (req, res) => {
+    tableCaches.contentHubs.invalidate();
+    tableCaches.contentHubs.revalidate();
+    res.json({ message: "Content hubs cache has been invalidated and is being reloaded in the background." });
+});
+
+// --- ADMIN API (wymaga nagłówka x-api-key) ---
+// Narzędzia operatorskie: stan cache, przeładowanie tabel, czasy ładowania, schemat bazy.
+const adminRouter = express.Router();
+adminRouter.use(requireApiKey);
+
+/**
+ * Helper: Summarizes a table cache for the admin API.
+ */
+function describeTableCache(cache) {
+    const loaded = cache.value !== null;
+    return {
+        table: cache.name,
+        loaded,
+        size: loaded ? cache.sizeOf(cache.value) : 0,
+        loadedAt: loaded ? new Date(cache.loadedAt).toISOString() : null,
+        ageSeconds: loaded ? Math.round((Date.now() - cache.loadedAt) / 1000) : null,
+        ttlSeconds: Math.round(cache.ttlMs / 1000),
+        fresh: cache.isFresh(),
+        invalidated: cache.invalidated,
+        revalidating: Boolean(cache.revalidating),
+        lastError: cache.lastError ? { message: cache.lastError.message, at: cache.lastError.at } : null
+    };
+}
+
+// Stan cache dla każdej tabeli: rozmiar, wiek, ostatni błąd
+adminRouter.get("/cache", (req, res) => {
+    res.json({
+        dataSource: dataSource.name,
+        tables: Object.values(tableCaches).map(describeTableCache)
+    });
+});
+
+// Przeładowanie jednej tabeli (czeka na zakończenie ładowania)
+adminRouter.post("/cache/:table/reload", async (req, res) => {
+    const cache = findTableCache(req.params.table);
+    if (!cache) {
+        return res.status(400).json({ error: `Unknown table "${req.params.table}". Available tables: ${Object.keys(tableCaches).join(", ")}.` });
+    }
+    try {
+        await cache.reload();
+        res.json(describeTableCache(cache));
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.toString(), cache: describeTableCache(cache) });
+    }
+});
+
+// Czasy ładowania tabel (ostatnie ładowania każdej tabeli)
+adminRouter.get("/timings", (req, res) => {
+    res.json({
+        tables: Object.values(tableCaches).map(cache => {
+            const durations = cache.loadHistory.filter(entry => entry.ok).map(entry => entry.durationMs);
+            return {
+                table: cache.name,
+                loads: cache.loadHistory.length,
+                lastDurationMs: cache.loadHistory.length ? cache.loadHistory[cache.loadHistory.length - 1].durationMs : null,
+                averageDurationMs: durations.length ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : null,
+                maxDurationMs: durations.length ? Math.max(...durations) : null,
+                history: cache.loadHistory
+            };
+        })
+    });
+});
+
+// Schemat bazy: tabele, pola i widoki zwracane przez źródło danych
+adminRouter.get("/schema", async (req, res) => {
+    try {
+        const tables = await dataSource.listTables();
+        res.json({
+            dataSource: dataSource.name,
+            tables: tables.map(t => ({
+                name: t.name,
+                fields: (t.fields || []).map(field => ({ name: field.name, type: field.type })),
+                views: (t.views || []).map(view => ({ name: view.name, type: view.type }))
+            }))
+        });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.toString() });
+    }
+});
+
+// Test dostępu do tabeli Divisions (przykładowe rekordy)
+adminRouter.get("/divisions", async (req, res) => {
+    try {
+        const divisions = await loadAllDivisions();
+        const divisionCount = Object.keys(divisions).length;
+        
+        // Get sample division data for debugging
+        const sampleDivisions = [];
+        let count = 0;
+        for (const divisionId in divisions) {
+            if (count < 3) { // Only return first 3 divisions
+                sampleDivisions.push({
+                    id: divisionId,
+                    fields: divisions[divisionId]
+                });
+                count++;
+            }
+        }
+        
+        res.json({ 
+            message: "Divisions table access test",
+            totalDivisions: divisionCount,
+            sampleDivisions: sampleDivisions,
+            tableName: DIVISIONS_TABLE,
+            baseId: dataSource.baseId
+        });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.toString() });
+    }
+});
+
+// Widoki (views) tabeli głównej
+adminRouter.get("/views", async (req, res) => {
+    try {
+        // Try to get table metadata to see available views
+        const tables = await dataSource.listTables();
+        const mainTable = tables.find(t => t.name === MAIN);
+        
+        if (mainTable) {
+            res.json({
+                message: "Available views for main table",
+                tableName: MAIN,
+                views: mainTable.views || [],
+                baseId: dataSource.baseId
+            });
+        } else {
+            res.json({
+                message: "Main table not found in metadata",
+                tableName: MAIN,
+                availableTables: tables.map(t => t.name),
+                baseId: dataSource.baseId
+            });
+        }
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.toString() });
+    }
+});
+
+// Analiza struktury pól tabeli Divisions
+adminRouter.get("/divisions-structure", async (req, res) => {
+    try {
         const divisions = await loadAllDivisions();
         const divisionCount = Object.keys(divisions).length;
         
@@ -845,991 +2555,2152 @@ app.get("/debug/divisions-structure", async (req, res) => {
             totalDivisions: divisionCount,
             sampleDivisions: sampleDivisions,
             tableName: DIVISIONS_TABLE,
-            baseId: BASE
+            baseId: dataSource.baseId
         });
     } catch (e) {
-        res.status(500).json({ error: e.toString() });
+        res.status(e.status || 500).json({ error: e.toString() });
     }
 });
 
+app.use("/admin", adminRouter);
+
+// --- NEWS (komentarze AI jako elementy listy z datą i zbiorem danych) ---
+const NEWS_SORT_FIELDS = ["date", ...LIST_SORT_FIELDS];
+const NEWS_DEFAULT_SORT = "-date";
+
+/**
+ * Helper: Finds the AI comment of a main record or division in the response language: the linked
+ * Comment record first, then the record's own AIComment fields. Returns { text, language, date }
+ * or null; `date` is the creation time of the Comment record (null for comments kept on the record).
+ */
+function findRecordComment(fields, allComments, lang) {
+    const first = value => (Array.isArray(value) ? value[0] : value);
+    const commentFields = allComments[first(fields.Comment)];
+    for (const source of [commentFields, fields]) {
+        const comment = findLocalized(source, "AIComment", lang);
+        if (comment) {
+            return {
+                text: String(first(comment.value)).trim(),
+                language: LANGUAGE_TAGS[comment.lang],
+                date: (source === commentFields && source.createdTime) || null
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Helper: Builds the news items of main records and divisions (`{ id, fields }`; a division takes
+ * its update dates and hubs from its Main_Data record). An item is the list item of
+ * toDatasetListItem plus the content hubs, the comment and `date` - the comment date, or the
+ * data's last update when the comment is undated. `comment.outdated` is true when the comment
+ * was written before the data's UpdatedThere, null when either date is unknown.
+ */
+async function buildNewsItems({ mainRecords = [], divisionRecords = [] }, lang) {
+    const first = value => (Array.isArray(value) ? value[0] : value);
+    const [context, allComments, allContentHubs, slugRegistry, store] = await Promise.all([
+        loadListContext(lang), loadAllComments(), loadAllContentHubs(), loadSlugRegistry(), loadMainStore()
+    ]);
+    const hubsById = new Map(Object.values(allContentHubs).map(h => [h.id, h]));
+
+    const toNewsItem = ({ id, type, fields, mainFields = null }) => {
+        const comment = findRecordComment(fields, allComments, lang);
+        if (!comment || !comment.text) return null;
+        const item = toDatasetListItem({ id, type, fields, mainFields }, context);
+        const commentTime = Date.parse(comment.date);
+        const updateTime = Date.parse(item.meta.lastUpdate);
+        const hubIds = (mainFields || fields)["Content hubs in build"];
+        return {
+            ...item,
+            date: comment.date || item.meta.lastUpdate || null,
+            contentHubs: (Array.isArray(hubIds) ? hubIds : []).map(hubId => hubsById.get(hubId)).filter(Boolean).map(h => ({
+                name: pickLocalized(h, "Title", lang) || h.Title,
+                slug: slugRegistry.contentHubs.slugByKey.get(h.id) || null
+            })),
+            comment: { ...comment, outdated: isNaN(commentTime) || isNaN(updateTime) ? null : commentTime < updateTime }
+        };
+    };
+
+    const items = [
+        ...mainRecords.map(r => toNewsItem({ id: r.fields.DataID || r.id, type: "dataset", fields: r.fields })),
+        ...divisionRecords.map(r => {
+            const main = store.byId.get(first(r.fields.Main_Data));
+            return toNewsItem({ id: `d${r.fields.DataID || r.id}`, type: "division", fields: r.fields, mainFields: main ? main.fields : null });
+        })
+    ].filter(Boolean);
+    // Dywizja może być podpięta do kilku kategorii kraju - zostaje jeden element
+    const seen = new Set();
+    return items.filter(item => !seen.has(item.id) && seen.add(item.id));
+}
+
+/**
+ * Helper: Applies the news query parameters: `since` (item date on or after), the listing filters,
+ * `sort` (one of NEWS_SORT_FIELDS, default "-date") and optional pagination - see applyListQuery.
+ */
+function applyNewsQuery(items, query) {
+    let result = items;
+    if (query.since !== undefined) {
+        const since = parseDateParam(query, "since");
+        result = result.filter(item => Date.parse(item.date) >= since);
+    }
+    return applyListQuery(result, query, { sortFields: NEWS_SORT_FIELDS, defaultSort: NEWS_DEFAULT_SORT });
+}
+
+// Adres publiczny API w linkach kanałów (za proxy); domyślnie protokół i host żądania
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+const FEED_AUTHOR = "WorldIndex";
+
+/**
+ * Response formats of the news endpoints. `serialize(feed)` gets the feed built by sendNews:
+ * { title, link, self, language, updated, items } with the `url` and `guid` of every news item.
+ */
+const NEWS_FORMATS = {
+    json: { type: "application/json" },
+    rss: { type: "application/rss+xml", serialize: toRssFeed },
+    atom: { type: "application/atom+xml", serialize: toAtomFeed },
+    jsonfeed: { type: "application/feed+json", serialize: toJsonFeed }
+};
+
+/** Helper: Category and content hub names of a news item, used as feed categories and tags. */
+function getNewsTags(item) {
+    return [item.meta.category, ...item.contentHubs.map(hub => hub.name)].filter(Boolean);
+}
+
+/** Helper: Serializes a news feed as RSS 2.0. */
+function toRssFeed(feed) {
+    const lines = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">`,
+        `  <channel>`,
+        `    <title>${escapeXml(feed.title)}</title>`,
+        `    <link>${escapeXml(feed.link)}</link>`,
+        `    <description>${escapeXml(feed.description)}</description>`,
+        `    <language>${escapeXml(feed.language)}</language>`,
+        `    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>`,
+        `    <atom:link href="${escapeXml(feed.self)}" rel="self" type="${NEWS_FORMATS.rss.type}"/>`
+    ];
+    feed.items.forEach(item => {
+        lines.push(
+            `    <item>`,
+            `      <title>${escapeXml(item.meta.title)}</title>`,
+            `      <link>${escapeXml(item.url)}</link>`,
+            `      <guid isPermaLink="false">${escapeXml(item.guid)}</guid>`,
+            ...(item.date ? [`      <pubDate>${new Date(item.date).toUTCString()}</pubDate>`] : []),
+            ...getNewsTags(item).map(tag => `      <category>${escapeXml(tag)}</category>`),
+            `      <description>${escapeXml(item.comment.text)}</description>`,
+            `    </item>`
+        );
+    });
+    lines.push(`  </channel>`, `</rss>`);
+    return lines.join("\n") + "\n";
+}
+
+/** Helper: Serializes a news feed as Atom (RFC 4287); entries carry the language of their comment. */
+function toAtomFeed(feed) {
+    const lines = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">`,
+        `  <title>${escapeXml(feed.title)}</title>`,
+        `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `  <id>${escapeXml(feed.self)}</id>`,
+        `  <link rel="self" type="${NEWS_FORMATS.atom.type}" href="${escapeXml(feed.self)}"/>`,
+        `  <link rel="alternate" type="application/json" href="${escapeXml(feed.link)}"/>`,
+        `  <updated>${new Date(feed.updated).toISOString()}</updated>`,
+        `  <author><name>${FEED_AUTHOR}</name></author>`
+    ];
+    feed.items.forEach(item => {
+        lines.push(
+            `  <entry xml:lang="${escapeXml(item.comment.language)}">`,
+            `    <title>${escapeXml(item.meta.title)}</title>`,
+            `    <id>${escapeXml(item.guid)}</id>`,
+            `    <link rel="alternate" href="${escapeXml(item.url)}"/>`,
+            `    <updated>${new Date(item.date || feed.updated).toISOString()}</updated>`,
+            ...getNewsTags(item).map(tag => `    <category term="${escapeXml(tag)}"/>`),
+            `    <summary>${escapeXml(item.comment.text)}</summary>`,
+            `  </entry>`
+        );
+    });
+    lines.push(`</feed>`);
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Helper: Serializes a news feed as JSON Feed 1.1. The dataset ID, slug, type and the `outdated`
+ * flag go into the `_worldindex` extension of each item.
+ */
+function toJsonFeed(feed) {
+    return JSON.stringify({
+        version: "https://jsonfeed.org/version/1.1",
+        title: feed.title,
+        description: feed.description,
+        home_page_url: feed.link,
+        feed_url: feed.self,
+        language: feed.language,
+        authors: [{ name: FEED_AUTHOR }],
+        items: feed.items.map(item => ({
+            id: item.guid,
+            url: item.url,
+            title: item.meta.title,
+            content_text: item.comment.text,
+            ...(item.date ? { date_published: new Date(item.date).toISOString() } : {}),
+            tags: getNewsTags(item),
+            language: item.comment.language,
+            _worldindex: { id: item.id, slug: item.slug, type: item.type, outdated: item.comment.outdated }
+        }))
+    });
+}
+
+/**
+ * Helper: Answers a news endpoint: the JSON body of applyNewsQuery or, for `?format=rss|atom|jsonfeed`
+ * (or a matching Accept header), a feed titled after `scope` (e.g. ["Poland", "Economy"]). Item links
+ * point at /data/{slug} under PUBLIC_BASE_URL. Throws ApiError(400) for an unsupported format.
+ */
+function sendNews(req, res, items, scope) {
+    const format = negotiateDataFormat(req, NEWS_FORMATS);
+    res.vary("Accept");
+    if (!format) {
+        throw new ApiError(400, `Unsupported format "${req.query.format}". Use one of: ${Object.keys(NEWS_FORMATS).join(", ")}.`);
+    }
+    const body = applyNewsQuery(items, req.query);
+    if (format === "json") return res.json(body);
+
+    const baseUrl = PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+    const feedItems = body.items.map(item => {
+        const url = `${baseUrl}/data/${encodeURIComponent(item.slug || item.id)}`;
+        // Nowy komentarz albo nowe dane (komentarz bez daty) dają nowy identyfikator wpisu
+        return { ...item, url, guid: `${url}#${item.date || "news"}` };
+    });
+    const dates = feedItems.map(item => Date.parse(item.date)).filter(time => !isNaN(time));
+    const { type, serialize } = NEWS_FORMATS[format];
+    res.set("Content-Type", `${type}; charset=utf-8`);
+    res.send(serialize({
+        title: [FEED_AUTHOR, ...scope].join(" – "),
+        description: `AI-generated comments on ${FEED_AUTHOR} datasets: ${scope.join(", ")}`,
+        link: baseUrl + req.path,
+        self: baseUrl + req.originalUrl,
+        language: LANGUAGE_TAGS[req.lang],
+        updated: dates.length > 0 ? Math.max(...dates) : Date.now(),
+        items: feedItems
+    }));
+}
+
 // ZAKTUALIZOWANY ENDPOINT: /dataset/:country/:category/news - teraz zawiera komentarze z obu tabel
 app.get("/dataset/:country/:category/news", async (req, res) => {
-    const lang = (req.query.lang || "EN").toUpperCase();
-    const catParam = req.params.category.toLowerCase();
+    const lang = req.lang;
+    const catParam = req.params.category;
     const country = req.params.country;
-    const viewIdentifier = getCountryViewId(country);
     try {
+        const slugRegistry = await loadSlugRegistry();
+        const category = resolveSlug(slugRegistry, "categories", catParam);
+        if (!category) {
+            // Dawny adres newsów huba (/dataset/poland/Artificial Intelligence/news) prowadzi do nowej trasy
+            const hub = resolveSlug(slugRegistry, "contentHubs", catParam);
+            if (hub) return res.redirect(301, withQueryString(req, `/dataset/${country}/by-hub/${hub.slug}/news`));
+        } else if (category.redirect) {
+            return res.redirect(301, withQueryString(req, `/dataset/${country}/${category.slug}/news`));
+        }
+
         // 1. Find Category record(s) for the country and category
         const allCategories = await loadAllCategories();
         const countryNameForFiltering = getCountryNameForFiltering(country);
         const matchingCategories = Object.entries(allCategories)
           .filter(([id, fields]) => {
             const titleEN = Array.isArray(fields.TitleEN) ? fields.TitleEN[0] : fields.TitleEN;
-            const secondaryEN = Array.isArray(fields.SecondaryEN) ? fields.SecondaryEN[0] : fields.SecondaryEN;
             const matchesCountry = titleEN && titleEN.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim();
-            const matchesCategory = secondaryEN && secondaryEN.toLowerCase().trim() === catParam.trim();
-            return matchesCountry && matchesCategory;
+            return matchesCountry && category && category.keys.includes(id);
           });
         if (matchingCategories.length === 0) {
             return res.status(404).json({ error: `No category found for country "${country}" and category "${catParam}"` });
         }
-        // 2. Collect all linked record IDs from both Divisions and Poland for this category
+        // 2. Collect all linked Division IDs for this category
         let divisionIds = [];
-        let polandIds = [];
         for (const [catId, fields] of matchingCategories) {
             if (Array.isArray(fields.Divisions)) divisionIds.push(...fields.Divisions);
-            if (Array.isArray(fields.Poland)) polandIds.push(...fields.Poland);
         }
-        // 3. Fetch records from Divisions and Poland tables
+        // 3. Read records from Divisions and the indexed main table
         const allDivisions = await loadAllDivisions();
-        const allPoland = [];
-        let offset = null;
-        do {
-            const params = { pageSize: 100, offset };
-            const r = await axios.get(
-                `https://api.airtable.com/v0/${BASE}/${MAIN}`,
-                { headers: { Authorization: `Bearer ${KEY}` }, params }
-            );
-            allPoland.push(...r.data.records);
-            offset = r.data.offset;
-        } while (offset);
-        // 4. Filter records by IDs (Divisions and Poland)
-        const divisionRecords = divisionIds.map(id => allDivisions[id]).filter(Boolean);
-        const polandRecords = allPoland.filter(r => polandIds.includes(r.id));
-        // 5. Collect AI comments from both Comment table (linked to Poland) and Divisions table
-        const allComments = await loadAllComments();
-        const aiCommentKey = `AIComment${lang}`;
-        const comments = [];
-        // Poland comments
-        for (const r of polandRecords) {
-            const f = r.fields;
-            const linkedCommentRecordIds = f.Comment;
-            if (Array.isArray(linkedCommentRecordIds) && linkedCommentRecordIds.length > 0) {
-                const commentRecordId = linkedCommentRecordIds[0];
-                const commentFields = allComments[commentRecordId];
-                if (commentFields) {
-                    const commentText = commentFields[aiCommentKey] || commentFields.AICommentEN;
-                    if (commentText && commentText.trim()) {
-                        comments.push(commentText);
+        const store = await loadMainStore();
+        // 4. Resolve Division records by ID and main records by category
+        const divisionRecords = divisionIds.filter(id => allDivisions[id]).map(id => ({ id, fields: allDivisions[id] }));
+        const polandRecords = getMainRecordsForCategories(store, matchingCategories.map(([catId]) => catId));
+        // 5. News items from both Comment table (linked to Poland) and Divisions table
+        const items = await buildNewsItems({ mainRecords: polandRecords, divisionRecords }, lang);
+        const categoryName = pickLocalized(matchingCategories[0][1], "Secondary", lang, "Secondary") || category.slug;
+        sendNews(req, res, items, [countryNameForFiltering, categoryName]);
+    } catch (e) {
+        if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+        res.status(e.status || 500).json({ error: e.toString() });
+    }
+});
+
+// ZAKTUALIZOWANY ENDPOINT: /dataset/:country/by-hub/:hub/news - komentarze zbiorów huba w danym kraju
+// (dawniej /dataset/:country/:contenthub/news, zasłonięte przez trasę kategorii - tamta przekierowuje tutaj)
+app.get("/dataset/:country/by-hub/:hub/news", async (req, res) => {
+    const lang = req.lang;
+    const country = req.params.country;
+    const contentHub = req.params.hub;
+
+    try {
+        const hub = resolveSlug(await loadSlugRegistry(), "contentHubs", contentHub);
+        if (!hub) {
+            return res.status(404).json({ error: `Content hub "${contentHub}" not found.` });
+        }
+        if (hub.redirect) {
+            return res.redirect(301, withQueryString(req, `/dataset/${country}/by-hub/${hub.slug}/news`));
+        }
+        const hubId = hub.keys[0];
+
+        const store = await loadMainStore();
+        const inCountry = new Set(getMainRecordsBy(store, "byCountry", getCountryNameForFiltering(country)));
+        const allRecords = getMainRecordsBy(store, "byContentHub", hubId).filter(r => inCountry.has(r));
+
+        // Komentarze zbiorów huba i dywizji powiązanych z nimi
+        const divisionRecords = [];
+        for (const record of allRecords) {
+            divisionRecords.push(...await getLinkedDivisions(record.id));
+        }
+        const items = await buildNewsItems({ mainRecords: allRecords, divisionRecords }, lang);
+        const hubFields = Object.values(await loadAllContentHubs()).find(h => h.id === hubId);
+        const hubName = (hubFields && (pickLocalized(hubFields, "Title", lang) || hubFields.Title)) || hub.slug;
+        sendNews(req, res, items, [getCountryNameForFiltering(country), hubName]);
+
+    } catch (e) {
+        if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+        res.status(e.status || 500).json({ error: e.toString() });
+    }
+});
+
+// ZAKTUALIZOWANY ENDPOINT: /dataset/:country/news - teraz zawiera komentarze z obu tabel
+app.get("/dataset/:country/news", async (req, res) => {
+  const lang = req.lang;
+  const countryParam = req.params.country.toLowerCase();
+
+  try {
+    // 1. Find Category record(s) for the country
+    const allCategories = await loadAllCategories();
+    const countryNameForFiltering = getCountryNameForFiltering(countryParam);
+    
+    const matchingCategories = Object.entries(allCategories)
+      .filter(([id, fields]) => {
+        const titleEN = Array.isArray(fields.TitleEN) ? fields.TitleEN[0] : fields.TitleEN;
+        const matches = titleEN && titleEN.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim();
+        return matches;
+      });
+
+    if (matchingCategories.length === 0) {
+      return res.status(404).json({ error: `No category found for country "${countryNameForFiltering}".` });
+    }
+
+    // 2. Collect all linked Division IDs for the country
+    let divisionIds = [];
+    for (const [catId, fields] of matchingCategories) {
+      if (Array.isArray(fields.Divisions)) divisionIds.push(...fields.Divisions);
+    }
+
+    // 3. Read records from Divisions and the indexed main table
+    const allDivisions = await loadAllDivisions();
+    const store = await loadMainStore();
+
+    // 4. Main records of the country: the records of its Airtable view
+    const polandRecords = getMainRecordsBy(store, "byCountry", countryNameForFiltering);
+
+    // 5. News items: the linked Comment record or the record's own AIComment fields, for main records and divisions
+    const divisionRecords = divisionIds.filter(id => allDivisions[id]).map(id => ({ id, fields: allDivisions[id] }));
+    const items = await buildNewsItems({ mainRecords: polandRecords, divisionRecords }, lang);
+
+    sendNews(req, res, items, [countryNameForFiltering]);
+  } catch (e) {
+    if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.toString() });
+  }
+});
+
+// NOWY ENDPOINT: /data/:numericId/unified - zwraca zunifikowane dane z głównej tabeli i divisions
+app.get("/data/:numericId/unified", async (req, res) => {
+    const lang = req.lang;
+
+    try {
+        const id = await resolveDatasetParam(req, res, "/unified");
+        if (!id) return;
+        const numericId = Number(id);
+        if (isNaN(numericId)) {
+            return res.status(400).json({ error: "Invalid ID. Please provide a numeric ID or the slug of a main dataset." });
+        }
+
+        const store = await loadMainStore();
+        const record = store.byDataId.get(numericId);
+        if (!record) {
+            return res.status(404).json({ error: `No data for ID "${numericId}"` });
+        }
+
+        // NOWE: Pobierz zunifikowane dane z głównej tabeli i divisions
+        const unifiedData = await getUnifiedData(record, lang);
+        
+        // Pobierz zunifikowane komentarze AI
+        const unifiedComments = await getUnifiedAIComments(record, lang);
+        unifiedData.aiComments = unifiedComments;
+
+        res.json(unifiedData);
+    } catch (e) {
+        if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+        res.status(e.status || 500).json({ error: e.toString() });
+    }
+});
+
+// DODANE BRAKUJĄCE ENDPOINTY Z ORYGINALNEGO SKRYPTU
+
+app.get("/dataset/by-hub/:hubTitle", async (req, res) => {
+    const hubTitle = req.params.hubTitle;
+    const lang = req.lang;
+    
+    try {
+        // Slug huba, alias językowy albo tytuł angielski ("Artificial Intelligence")
+        const hub = resolveSlug(await loadSlugRegistry(), "contentHubs", hubTitle);
+        if (hub && hub.redirect) {
+            return res.redirect(301, withQueryString(req, `/dataset/by-hub/${hub.slug}`));
+        }
+        const allContentHubs = await loadAllContentHubs();
+        const hubFields = hub && Object.values(allContentHubs).find(h => h.id === hub.keys[0]);
+
+        if (!hubFields || !hubFields.Charts || hubFields.Charts.length === 0) {
+            return res.status(404).json({ error: `Content hub "${hubTitle}" not found or has no linked charts.` });
+        }
+
+        const chartRecordIds = hubFields.Charts;
+        const store = await loadMainStore();
+        const allRecords = chartRecordIds.map(id => store.byId.get(id)).filter(Boolean);
+
+        const context = await loadListContext(lang);
+        const items = allRecords
+            .filter(r => r.fields.Title && r.fields.Title.trim())
+            .map(r => toDatasetListItem({ id: r.fields.DataID || r.id, type: "dataset", fields: r.fields }, context));
+
+        res.json(applyListQuery(items, req.query));
+
+    } catch (e) {
+        if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+        res.status(e.status || 500).json({ error: e.toString() });
+    }
+});
+
+app.get("/dataset/:country/:category", async (req, res) => {
+  const lang = req.lang;
+  const country = req.params.country;
+  
+  try {
+    // Slug kategorii, alias językowy ("gospodarka") albo nazwa angielska
+    const category = resolveSlug(await loadSlugRegistry(), "categories", req.params.category);
+    if (category && category.redirect) {
+      return res.redirect(301, withQueryString(req, `/dataset/${country}/${category.slug}`));
+    }
+
+    // 1. Find Category record(s) for the country
+    const allCategories = await loadAllCategories();
+    const countryNameForFiltering = getCountryNameForFiltering(country);
+
+    const matchingCategories = Object.entries(allCategories)
+      .filter(([id, fields]) => {
+        const titleEN = Array.isArray(fields.TitleEN) ? fields.TitleEN[0] : fields.TitleEN;
+        return titleEN && titleEN.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim();
+      });
+
+    if (matchingCategories.length === 0) {
+      return res.status(404).json({ error: `No category found for country "${countryNameForFiltering}"` });
+    }
+
+    // 2. Keep the records of the requested category
+    const categoryRecords = category ? matchingCategories.filter(([id]) => category.keys.includes(id)) : [];
+    if (categoryRecords.length === 0) {
+      return res.status(404).json({ error: `Category "${req.params.category}" not found for country "${countryNameForFiltering}".` });
+    }
+
+    // 3. Collect the Division IDs linked to the category
+    let divisionIds = [];
+    for (const [catId, fields] of categoryRecords) {
+      if (Array.isArray(fields.Divisions)) divisionIds.push(...fields.Divisions);
+    }
+
+    // 4. Read records from Divisions and the indexed main table
+    const allDivisions = await loadAllDivisions();
+    const store = await loadMainStore();
+
+    // 5. Resolve Division records by ID and main records linked to the category
+    const filteredDivisionRecords = divisionIds.map(id => allDivisions[id]).filter(Boolean);
+    const filteredPolandRecords = getMainRecordsForCategories(store, categoryRecords.map(([catId]) => catId));
+
+    // 6. Combine and format results
+    const context = await loadListContext(lang);
+    const items = [
+      ...filteredDivisionRecords.map(f => {
+        // Dywizja bierze opis, daty aktualizacji i metadane z powiązanego rekordu głównego (Main_Data)
+        const mainDataIds = f.Main_Data;
+        const linkedPolandRecord = Array.isArray(mainDataIds) && mainDataIds.length > 0 ? store.byId.get(mainDataIds[0]) : null;
+        return toDatasetListItem({
+          id: `d${f.DataID || f.id}`,
+          type: "division",
+          fields: f,
+          mainFields: linkedPolandRecord ? linkedPolandRecord.fields : null
+        }, context);
+      }),
+      ...filteredPolandRecords.map(r => toDatasetListItem({ id: r.fields.DataID || r.id, type: "dataset", fields: r.fields }, context))
+    ];
+
+    res.json(applyListQuery(items, req.query));
+  } catch (e) {
+    if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.toString() });
+  }
+});
+
+app.get("/dataset/:country", async (req, res) => {
+  const lang = req.lang;
+  const countryParam = req.params.country.toLowerCase();
+
+  try {
+    // 1. Find Category record(s) for the country
+    const allCategories = await loadAllCategories();
+    const countryNameForFiltering = getCountryNameForFiltering(countryParam);
+
+    const matchingCategories = Object.entries(allCategories)
+      .filter(([id, fields]) => {
+        const titleEN = Array.isArray(fields.TitleEN) ? fields.TitleEN[0] : fields.TitleEN;
+        return titleEN && titleEN.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim();
+      });
+
+    if (matchingCategories.length === 0) {
+      return res.status(404).json({ error: `No category found for country "${countryNameForFiltering}"` });
+    }
+
+    // 2. Collect all linked Division IDs for the country
+    let divisionIds = [];
+    for (const [catId, fields] of matchingCategories) {
+      if (Array.isArray(fields.Divisions)) divisionIds.push(...fields.Divisions);
+    }
+
+    // 3. Read records from Divisions and the indexed main table
+    const allDivisions = await loadAllDivisions();
+    const store = await loadMainStore();
+
+    // 4. Filter records by IDs
+    const divisionRecords = divisionIds.map(id => allDivisions[id]).filter(Boolean);
+    const polandRecords = getMainRecordsForCategories(store, matchingCategories.map(([catId]) => catId));
+
+    // 5. Combine and format results
+    const context = await loadListContext(lang);
+    const items = [
+      ...divisionRecords.map(f => {
+        // Dywizja bierze opis, daty aktualizacji i metadane z powiązanego rekordu głównego (Main_Data)
+        const mainDataIds = f.Main_Data;
+        const linkedPolandRecord = Array.isArray(mainDataIds) && mainDataIds.length > 0 ? store.byId.get(mainDataIds[0]) : null;
+        return toDatasetListItem({
+          id: `d${f.DataID || f.id}`,
+          type: "division",
+          fields: f,
+          mainFields: linkedPolandRecord ? linkedPolandRecord.fields : null
+        }, context);
+      }),
+      ...polandRecords.map(r => toDatasetListItem({ id: r.fields.DataID || r.id, type: "dataset", fields: r.fields }, context))
+    ];
+
+    res.json(applyListQuery(items, req.query));
+  } catch (e) {
+    if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.toString() });
+  }
+});
+
+app.get("/categories/:country", async (req, res) => {
+  const lang = req.lang;
+  const country = req.params.country;
+  
+  const countryNameForFiltering = getCountryNameForFiltering(country);
+  
+  try {
+    const allCategories = await loadAllCategories();
+    const slugs = (await loadSlugRegistry()).categories.slugByKey;
+
+    // Nazwa kategorii w języku odpowiedzi → slug używany w /dataset/:country/:category
+    const categorySlugs = new Map();
+    Object.entries(allCategories)
+      .filter(([id, recFields]) => {
+        const titleEN = Array.isArray(recFields.TitleEN) ? recFields.TitleEN[0] : recFields.TitleEN;
+        const matchesCountry = titleEN && titleEN.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim();
+        return matchesCountry;
+      })
+      .forEach(([id, recFields]) => {
+        const name = pickLocalized(recFields, "Secondary", lang, "Secondary");
+        if (name && !categorySlugs.has(name)) categorySlugs.set(name, slugs.get(id));
+      });
+
+    const uniqueCategories = Array.from(categorySlugs.keys()).sort();
+
+    res.json({
+      count: uniqueCategories.length,
+      categories: uniqueCategories,
+      items: uniqueCategories.map(name => ({ name, slug: categorySlugs.get(name) }))
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.toString() });
+  }
+});
+
+app.get("/contenthubs/:country", async (req, res) => {
+    const countryParam = req.params.country;
+    const lang = req.lang;
+    
+    try {
+        const hubTranslationsMap = await loadAllContentHubs();
+        const slugs = (await loadSlugRegistry()).contentHubs.slugByKey;
+
+        const store = await loadMainStore();
+        const allRecords = getMainRecordsBy(store, "byCountry", getCountryNameForFiltering(countryParam));
+
+        // Tytuł huba w języku odpowiedzi → slug używany w /dataset/by-hub/:hubTitle
+        const contentHubs = new Map();
+
+        allRecords.forEach(record => {
+            const linkedHubTitles = record.fields['Content hub']; 
+            if (Array.isArray(linkedHubTitles)) {
+                linkedHubTitles.forEach(primaryTitle => {
+                    const translatedHubFields = hubTranslationsMap[primaryTitle];
+                    if (translatedHubFields) {
+                        const translatedTitle = pickLocalized(translatedHubFields, "Title", lang);
+                        if (translatedTitle) {
+                            contentHubs.set(translatedTitle, slugs.get(translatedHubFields.id));
+                        } else {
+                            log.warn("no translated title for content hub", { hub: primaryTitle, lang });
+                        }
+                    } else {
+                        log.warn("content hub not found in cache", { hub: primaryTitle });
                     }
-                }
+                });
             }
+        });
+
+        const sortedContentHubs = Array.from(contentHubs.keys()).sort();
+
+        res.json({
+            count: sortedContentHubs.length,
+            contentHubs: sortedContentHubs,
+            items: sortedContentHubs.map(name => ({ name, slug: contentHubs.get(name) }))
+        });
+
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.toString() });
+    }
+});
+
+// --- OKRESY (rok, kwartał, miesiąc, dzień) ---
+
+/** Lowercased names of a period column in the dataset languages (checked against the `Data${lang}` headers). */
+const PERIOD_COLUMN_NAMES = new Set([
+    "year", "quarter", "month", "date", "day", "period", "time",
+    "rok", "kwartał", "miesiąc", "data", "dzień", "okres",
+    "jahr", "quartal", "monat", "datum", "tag", "zeitraum",
+    "année", "annee", "trimestre", "mois", "jour", "période", "periode",
+    "año", "mes", "fecha", "día", "periodo", "anno", "mese", "giorno",
+    "ano", "mês", "dia", "período", "jaar", "kwartaal", "maand", "dag",
+    "čtvrtletí", "měsíc", "den", "období", "štvrťrok", "mesiac", "dátum", "obdobie",
+    "vuosi", "neljännes", "kuukausi", "päivämäärä", "päivä", "ajanjakso",
+    "év", "negyedév", "hónap", "nap", "időszak",
+    "an", "trimestru", "lună", "luna", "zi", "perioadă",
+    "година", "тримесечие", "месец", "дата", "ден", "период",
+    "έτος", "τρίμηνο", "μήνας", "ημερομηνία", "περίοδος",
+    "metai", "ketvirtis", "mėnuo", "diena", "laikotarpis",
+    "gads", "ceturksnis", "mēnesis", "datums", "periods",
+    "aasta", "kvartal", "kuu", "kuupäev", "päev", "periood",
+    "leto", "četrtletje", "mesec", "obdobje", "godina", "tromjesečje", "mjesec", "razdoblje",
+    "рік", "квартал", "місяць", "день", "період",
+    "yıl", "çeyrek", "ay", "tarih", "gün", "dönem",
+    "năm", "quý", "tháng", "ngày", "kỳ",
+    "年", "季度", "月", "日期", "时期", "四半期", "日付", "期間"
+]);
+
+const PERIOD_PATTERNS = [
+    // 2024, 2024-Q1, 2024 Q1, 2024Q1, Q1 2024, Q1/2024 (także T1 – trimestre, K1 – kwartał)
+    { pattern: /^(\d{4})$/, parse: m => ({ frequency: "yearly", year: +m[1] }) },
+    { pattern: /^(\d{4})\s*[-/ ]?\s*[QTK]([1-4])$/i, parse: m => ({ frequency: "quarterly", year: +m[1], quarter: +m[2] }) },
+    { pattern: /^[QTK]([1-4])\s*[-/ ]?\s*(\d{4})$/i, parse: m => ({ frequency: "quarterly", year: +m[2], quarter: +m[1] }) },
+    // 2024-10, 2024/10, 2024M10, 10.2024, 10/2024
+    { pattern: /^(\d{4})\s*(?:[-/.]|M)\s*(\d{1,2})$/i, parse: m => ({ frequency: "monthly", year: +m[1], month: +m[2] }) },
+    { pattern: /^(\d{1,2})\s*[./-]\s*(\d{4})$/, parse: m => ({ frequency: "monthly", year: +m[2], month: +m[1] }) },
+    // 2024-10-05, 2024/10/05, 05.10.2024
+    { pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/, parse: m => ({ frequency: "daily", year: +m[1], month: +m[2], day: +m[3] }) },
+    { pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, parse: m => ({ frequency: "daily", year: +m[3], month: +m[2], day: +m[1] }) }
+];
+
+/**
+ * Helper: Parses a period label ("2024", "2024-Q1", "10.2024", "2024-10-05", ...).
+ * Returns `{ period, frequency, start, end }` – `period` is normalized ISO 8601 ("2024",
+ * "2024-10", "2024-10-05"; quarters use the SDMX form "2024-Q1") and `start`/`end` are the
+ * first and last day of the period (YYYY-MM-DD) – or null when the value is not a period.
+ */
+function parsePeriod(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    for (const { pattern, parse } of PERIOD_PATTERNS) {
+        const m = text.match(pattern);
+        if (!m) continue;
+        const { frequency, year, quarter, month, day } = parse(m);
+        const pad = n => String(n).padStart(2, "0");
+        const lastDay = (y, mo) => new Date(Date.UTC(y, mo, 0)).getUTCDate();
+        if (frequency === "yearly") {
+            return { period: String(year), frequency, start: `${year}-01-01`, end: `${year}-12-31` };
         }
-        // Division comments
-        for (const f of divisionRecords) {
-            if (f[aiCommentKey] && f[aiCommentKey].trim()) {
-                comments.push(f[aiCommentKey]);
-            } else if (f.AICommentEN && f.AICommentEN.trim()) {
-                comments.push(f.AICommentEN);
-            }
+        if (frequency === "quarterly") {
+            const endMonth = quarter * 3;
+            return {
+                period: `${year}-Q${quarter}`,
+                frequency,
+                start: `${year}-${pad(endMonth - 2)}-01`,
+                end: `${year}-${pad(endMonth)}-${lastDay(year, endMonth)}`
+            };
+        }
+        if (month < 1 || month > 12) return null;
+        if (frequency === "monthly") {
+            const period = `${year}-${pad(month)}`;
+            return { period, frequency, start: `${period}-01`, end: `${period}-${lastDay(year, month)}` };
+        }
+        if (day < 1 || day > lastDay(year, month)) return null;
+        const period = `${year}-${pad(month)}-${pad(day)}`;
+        return { period, frequency, start: period, end: period };
+    }
+    return null;
+}
+
+/**
+ * Helper: Finds the period column of a data table: the first header that is a known period name
+ * in any dataset language, otherwise the first column when all its values parse as periods.
+ * Returns the column index or -1.
+ */
+function findPeriodColumnIndex(headerSets, rows) {
+    for (const names of headerSets) {
+        const index = names.findIndex(h => PERIOD_COLUMN_NAMES.has(h.toLowerCase()));
+        if (index !== -1) return index;
+    }
+    return rows.length > 0 && rows.every(vals => parsePeriod(vals[0])) ? 0 : -1;
+}
+
+// --- SZCZEGÓŁY ZBIORU DANYCH (JSON, CSV, TSV, NDJSON) ---
+
+/**
+ * Error with an HTTP status and a message that is safe to show to API clients.
+ */
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = "ApiError";
+        this.status = status;
+    }
+}
+
+/**
+ * Helper: Builds the full dataset for a main record ID ("2042") or a division ID ("d15").
+ * Returns `{ meta, data, translations }` as served by /data/:numericId, plus the source
+ * `record` and `columns` (`[{ key, label, code, role }]`): `key` is the row property, `label`
+ * comes from the `Data${lang}` header, `code` is a stable ID taken from the English header and
+ * `role` is "time" for the first (period) column and "measure" for the rest.
+ * Throws ApiError(400) for malformed IDs and ApiError(404) for unknown ones.
+ */
+async function buildDataset(idParam, lang) {
+  // Check if it's a division record (starts with 'd')
+  const isDivision = idParam.startsWith('d');
+  const numericId = isDivision ? parseInt(idParam.substring(1)) : parseInt(idParam);
+  
+  if (isNaN(numericId)) {
+      throw new ApiError(400, "Invalid ID. Please provide a valid numeric ID or 'd' + numeric ID for division records.");
+  }
+
+  let record = null;
+  let f = null;
+  let mainDescription;
+  
+  if (isDivision) {
+    // Fetch from Divisions table
+    const allDivisions = await loadAllDivisions();
+    
+    // Find division record by DataID
+    for (const divisionId in allDivisions) {
+      const divisionFields = allDivisions[divisionId];
+      if (divisionFields.DataID === numericId) {
+        record = { id: divisionId, fields: divisionFields };
+        // Kopia, żeby uzupełnienia z rekordu głównego nie trafiały do cache
+        f = { ...divisionFields };
+        break;
+      }
+    }
+    
+    if (!record) {
+      throw new ApiError(404, `No division data for ID "d${numericId}"`);
+    }
+    
+    // For division records, try to get metadata from linked Poland record
+    const mainDataIds = f.Main_Data;
+    if (mainDataIds && Array.isArray(mainDataIds) && mainDataIds.length > 0) {
+      const mainDataId = mainDataIds[0]; // Get the first ID from the array
+      
+      // Fetch Poland records to find the linked one
+      const store = await loadMainStore();
+      const linkedPolandRecord = store.byId.get(mainDataId);
+      if (linkedPolandRecord) {
+        const polandFields = linkedPolandRecord.fields;
+        mainDescription = pickLocalized(polandFields, "Description", lang);
+        f.UpdateFrequency = polandFields.UpdateFrequency || f.UpdateFrequency;
+        f.UpdatedThere = polandFields.UpdatedThere || f.UpdatedThere;
+        f.NextUpdateTime = polandFields.NextUpdateTime || f.NextUpdateTime;
+        // Get SourceName and Unit from Poland record - try multiple possible field names
+        const possibleSourceNameFields = [
+          pickLocalized(polandFields, "Source Name", lang),
+          polandFields.SourceName,
+          polandFields.Source,
+          polandFields["Source Name"],
+          polandFields["SourceName"],
+          polandFields["Source name"],
+          polandFields["sourceName"],
+          polandFields["source_name"]
+        ];
+        f.sourceName = possibleSourceNameFields.find(field => field) || f.sourceName;
+        const possibleUnitFields = [
+          pickLocalized(polandFields, "Unit", lang),
+          polandFields.Unit,
+          polandFields["Unit"],
+          polandFields["unit"]
+        ];
+        f.unit = possibleUnitFields.find(field => field) || f.unit;
+
+        // NEW: Fetch Metadata from linked Poland record and use its Source NameXX and UnitXX
+        let polandMetadataFields = {};
+        const polandMetadataIds = polandFields.Metadata || [];
+        if (Array.isArray(polandMetadataIds) && polandMetadataIds.length > 0) {
+          const allMetadata = await loadAllMetadata();
+          polandMetadataFields = allMetadata[polandMetadataIds[0]] || {};
         }
-        res.json({ count: comments.length, comments });
-    } catch (e) {
-        res.status(500).json({ error: e.toString() });
+        // Store for later use in meta assignment
+        f._polandMetadataFields = polandMetadataFields;
+      } else {
+        log.debug("no main record found for division", { mainDataId });
+      }
+    } else {
+      log.debug("division has no Main_Data link", { divisionId: f.DataID || record.id });
     }
-});
+  } else {
+    // Fetch from Poland table
+    const store = await loadMainStore();
+    record = store.byDataId.get(numericId);
+    if (!record) {
+      throw new ApiError(404, `No data for ID "${numericId}"`);
+    }
+    f = record.fields;
+  }
+  
+  const title = findLocalized(f, "Title", lang);
+  const titleValue = title ? title.value : f.Title;
+  const slugRegistry = await loadSlugRegistry();
+  const meta = {
+    title: (Array.isArray(titleValue) ? titleValue[0] : titleValue) || "",
+    slug: slugRegistry.datasets.slugByKey.get(idParam) || null,
+    // Język faktycznie podany (po łańcuchu zastępczym), np. "cs" dla ?lang=sk bez tłumaczenia
+    language: LANGUAGE_TAGS[title ? title.lang : lang],
+    description: mainDescription || pickLocalized(f, "Description", lang) || "",
+    updateFrequency: f.UpdateFrequency || "",
+    lastUpdate: f.UpdatedThere || "",
+    nextUpdateTime: f.NextUpdateTime || "",
+    category: undefined,
+    contentHub: undefined,
+    summary: undefined,
+    sourceName: undefined,
+    unit: undefined
+  };
 
-// ZAKTUALIZOWANY ENDPOINT: /dataset/:country/:contenthub/news - teraz zawiera komentarze z obu tabel
-app.get("/dataset/:country/:contenthub/news", async (req, res) => {
-    const lang = (req.query.lang || "EN").toUpperCase();
-    const country = req.params.country;
-    const contentHub = req.params.contenthub;
-    const viewIdentifier = getCountryViewId(country);
+  let metadataFields = {};
+  const metadataIds = f.Metadata || [];
+  if (Array.isArray(metadataIds) && metadataIds.length > 0) {
+    const allMetadata = await loadAllMetadata();
+    metadataFields = allMetadata[metadataIds[0]] || {};
+  }
 
-    try {
-        const hubId = await getContentHubId(contentHub);
-        if (!hubId) {
-            return res.status(404).json({ error: `Content hub "${contentHub}" not found.` });
-        }
+  const catMap = await loadAllCategories();
+  const allComments = await loadAllComments(); // Wczytaj wszystkie komentarze
+  const categorySelectIds = f.CategorySelect || [];
+  const contentHubValue = f['Content hub'];
+  
+  // --- KLUCZOWE MIEJSCE DO DEBUGOWANIA KOMENTARZY ---
+  let aiCommentValue = null;
+  
+  if (isDivision) {
+    // For Division records, get AIComment directly from the record
+    aiCommentValue = pickLocalized(f, "AIComment", lang);
+  } else {
+    // For Poland records, get AIComment from linked Comment record
+    const linkedCommentRecordIds = f.Comment; 
 
-        const filterFormula = `FIND("${hubId}", ARRAYJOIN({Content hubs in build}))`;
-        
-        let allRecords = [], offset = null;
-        do {
-            const params = { pageSize: 100, view: viewIdentifier, offset };
-            if (filterFormula) {
-                params.filterByFormula = filterFormula;
-            }
-            const r = await axios.get(
-                `https://api.airtable.com/v0/${BASE}/${MAIN}`,
-                { headers: { Authorization: `Bearer ${KEY}` }, params: params }
-            );
-            allRecords.push(...r.data.records);
-            offset = r.data.offset;
-        } while (offset);
-        
-        if (allRecords.length === 0) {
-            return res.json({ count: 0, comments: [] });
+    if (Array.isArray(linkedCommentRecordIds) && linkedCommentRecordIds.length > 0) {
+        const commentRecordId = linkedCommentRecordIds[0]; // Bierzemy pierwszy ID
+        const commentFields = allComments[commentRecordId]; // Pobierz z cache'u
+        if (commentFields) {
+            aiCommentValue = pickLocalized(commentFields, "AIComment", lang);
         }
+    }
+  }
+  // --- KONIEC KLUCZOWEGO MIEJSCA ---
 
-        const comments = [];
-        
-        for (const record of allRecords) {
-            // NOWE: Pobierz zunifikowane komentarze AI z głównej tabeli i divisions
-            const unifiedComments = await getUnifiedAIComments(record, lang);
-            unifiedComments.forEach(comment => {
-                if (comment.comment && comment.comment.trim()) {
-                    comments.push(comment.comment);
-                }
-            });
+  if (Array.isArray(categorySelectIds) && categorySelectIds.length) {
+    const catFields = catMap[categorySelectIds[0]];
+    if (catFields) {
+      meta.category = pickLocalized(catFields, "Secondary", lang) || null;
+    }
+  }
+  
+  if (contentHubValue && Array.isArray(contentHubValue) && contentHubValue.length > 0) {
+      meta.contentHub = contentHubValue.join(', ');
+  }
+  
+  if (aiCommentValue) {
+      meta.summary = aiCommentValue;
+  }
+  // Always set sourceName at the end to guarantee order
+  meta.sourceName = pickLocalized(metadataFields, "Source Name", lang) || f.sourceName || "";
+  // Always set unit at the end, using language-specific logic
+  meta.unit = pickLocalized(metadataFields, "Unit", lang) || pickLocalized(f, "Unit", lang) || f.unit || "";
+
+  const researchNameValue = pickLocalized(metadataFields, "ResearchName", lang);
+  if (researchNameValue) meta.researchName = researchNameValue;
+  
+  const researchPurposeValue = pickLocalized(metadataFields, "ResearchPurpose", lang);
+  if (researchPurposeValue) meta.researchPurpose = researchPurposeValue;
+  
+  const definitionsValue = pickLocalized(metadataFields, "Definitions", lang);
+  if (definitionsValue) meta.definitions = definitionsValue;
+  
+  const methodologyValue = pickLocalized(metadataFields, "Methodology", lang);
+  if (methodologyValue) meta.methodology = methodologyValue;
+  
+  // Get sourceName from metadata (for Poland records) or from linked Poland record (for Division records)
+  let sourceNameValue = pickLocalized(metadataFields, "Source Name", lang);
+  if (isDivision) {
+      // For Division records, use the sourceName we got from linked Poland record
+      sourceNameValue = f.sourceName || sourceNameValue;
+  }
+  if (sourceNameValue) meta.sourceName = sourceNameValue;
+  
+  // Get unit from metadata (for Poland records) or from linked Poland record (for Division records)
+  let unitValue = pickLocalized(metadataFields, "Unit", lang);
+  if (isDivision) {
+      // For Division records, use the unit we got from linked Poland record
+      unitValue = f.unit || unitValue;
+  }
+  if (unitValue) meta.unit = unitValue;
+  
+  let data = [];
+  let columns = [];
+  const headers = pickLocalized(f, "Data", lang);
+  if (f.Data && headers) {
+    const headNames = headers.split(";").map(s => s.trim());
+    // Kody kolumn z nagłówka angielskiego, żeby nie zależały od języka odpowiedzi
+    const codeNames = (f.DataEN || headers).split(";").map(s => s.trim());
+    const hasCodeNames = codeNames.length === headNames.length;
+    const lines = f.Data.split("\n")
+      .map(line => line.split(";").map(s => s.trim()))
+      .filter(vals => vals.length === headNames.length);
+    const periodIndex = findPeriodColumnIndex(hasCodeNames ? [codeNames, headNames] : [headNames], lines);
+
+    columns = headNames.map((h, i) => ({
+      key: h === "Year" ? "year" : h,
+      label: h,
+      code: slugify(hasCodeNames ? codeNames[i] : h).replace(/-/g, "_") || `col${i + 1}`,
+      role: i === periodIndex ? "time" : "measure"
+    }));
+    const periods = [];
+    lines.forEach(vals => {
+      const row = {};
+      let parsedPeriod = null;
+      columns.forEach((c, i) => {
+        const v = vals[i];
+        if (c.role === "time") {
+          // Okres zostaje tekstem ("10.2024" to nie liczba); same lata nadal jako liczby
+          parsedPeriod = parsePeriod(v);
+          row[c.key] = /^\d{4}$/.test(v) ? parseInt(v) : v;
+        } else {
+          row[c.key] = isNaN(v) ? v : parseFloat(v);
         }
-            
-        res.json({ count: comments.length, comments });
+      });
+      data.push(periodIndex === -1 ? row : { period: parsedPeriod ? parsedPeriod.period : null, ...row });
+      periods.push(parsedPeriod);
+    });
 
-    } catch (e) {
-        res.status(500).json({ error: e.toString() });
+    if (periodIndex !== -1) {
+      // Sortowanie chronologiczne; wiersze bez rozpoznanego okresu zostają na końcu
+      const order = data.map((row, i) => i).sort((a, b) => {
+        if (!periods[a] || !periods[b]) return (periods[a] ? 0 : 1) - (periods[b] ? 0 : 1);
+        return periods[a].start.localeCompare(periods[b].start) || periods[a].end.localeCompare(periods[b].end);
+      });
+      data = order.map(i => data[i]);
+      const frequencies = new Set(periods.filter(Boolean).map(p => p.frequency));
+      if (frequencies.size === 1) meta.frequency = [...frequencies][0];
     }
-});
+  }
 
-// ZAKTUALIZOWANY ENDPOINT: /dataset/:country/news - teraz zawiera komentarze z obu tabel
-app.get("/dataset/:country/news", async (req, res) => {
-  const lang = (req.query.lang || "EN").toUpperCase();
-  const countryParam = req.params.country.toLowerCase();
-  const aiCommentKey = `AIComment${lang}`;
+  const translations = {};
+  LANGUAGES.forEach(l => {
+    ["Title", "Description", "Data", "AIComment"].forEach(prefix => {
+      const key = `${prefix}${l}`;
+      if (f[key]) translations[key] = f[key];
+    });
+    ["Definitions", "Source Name", "ResearchName", "ResearchPurpose", "Unit"].forEach(prefix => {
+        const key = `${prefix}${l}`;
+        if (metadataFields[key]) translations[key] = metadataFields[key];
+    });
+  });
 
-  try {
-    // 1. Find Category record(s) for the country
-    const allCategories = await loadAllCategories();
-    const countryNameForFiltering = getCountryNameForFiltering(countryParam);
-    
-    const matchingCategories = Object.entries(allCategories)
-      .filter(([id, fields]) => {
-        const titleEN = Array.isArray(fields.TitleEN) ? fields.TitleEN[0] : fields.TitleEN;
-        const matches = titleEN && titleEN.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim();
-        return matches;
-      });
+  if (isDivision && f._polandMetadataFields) {
+    meta.sourceName = pickLocalized(f._polandMetadataFields, "Source Name", lang)
+      || f._polandMetadataFields["Source Name"]
+      || "";
+    meta.unit = pickLocalized(f._polandMetadataFields, "Unit", lang)
+      || f._polandMetadataFields.Unit
+      || "";
+  }
 
-    if (matchingCategories.length === 0) {
-      return res.status(404).json({ error: `No category found for country "${countryNameForFiltering}".` });
+  return { id: idParam, lang, isDivision, record, meta, data, columns, translations };
+}
+
+/**
+ * Helper: Applies the `?from=`, `?to=`, `?columns=` and `?last=` query parameters to a dataset
+ * built by buildDataset and returns a filtered copy. `from`/`to` are inclusive periods in any
+ * format parsePeriod understands ("2020", "2024-Q2", "2024-10", ...): a row is kept when its
+ * period lies entirely inside the range. `columns` keeps the period column plus the listed
+ * columns (by code, key or label) and `last` keeps the N most recent rows.
+ * Throws ApiError(400) for invalid values.
+ */
+function applyDataQuery(dataset, query) {
+    const timeColumn = dataset.columns.find(c => c.role === "time");
+    let { data, columns } = dataset;
+
+    const bounds = {};
+    ["from", "to"].forEach(name => {
+        if (query[name] === undefined) return;
+        bounds[name] = typeof query[name] === "string" ? parsePeriod(query[name]) : null;
+        if (!bounds[name]) {
+            throw new ApiError(400, `Invalid "${name}" period "${query[name]}". Use e.g. 2024, 2024-Q1, 2024-10 or 2024-10-05.`);
+        }
+    });
+    if ((bounds.from || bounds.to) && timeColumn) {
+        data = data.filter(row => {
+            const period = parsePeriod(row.period);
+            if (!period) return false;
+            if (bounds.from && period.start < bounds.from.start) return false;
+            if (bounds.to && period.end > bounds.to.end) return false;
+            return true;
+        });
     }
 
-    // 2. Collect all linked record IDs from both Divisions and Poland
-    let divisionIds = [];
-    let polandIds = [];
-    for (const [catId, fields] of matchingCategories) {
-      if (Array.isArray(fields.Divisions)) divisionIds.push(...fields.Divisions);
-      if (Array.isArray(fields.Poland)) polandIds.push(...fields.Poland);
+    if (query.columns) {
+        const requested = String(query.columns).split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+        const selected = new Set(timeColumn ? [timeColumn] : []);
+        requested.forEach(name => {
+            const column = columns.find(c => [c.code, c.key, c.label].some(v => String(v).toLowerCase() === name));
+            if (!column) {
+                throw new ApiError(400, `Unknown column "${name}". Available columns: ${columns.map(c => c.code).join(", ")}.`);
+            }
+            selected.add(column);
+        });
+        columns = columns.filter(c => selected.has(c));
+        data = data.map(row => {
+            const picked = Object.fromEntries(columns.map(c => [c.key, row[c.key]]));
+            return "period" in row ? { period: row.period, ...picked } : picked;
+        });
     }
 
-    // 3. Fetch records from Divisions and Poland tables
-    const allDivisions = await loadAllDivisions();
-    const allPoland = [];
-    let offset = null;
-    do {
-      const params = { pageSize: 100, offset };
-      const r = await axios.get(
-        `https://api.airtable.com/v0/${BASE}/${MAIN}`,
-        { headers: { Authorization: `Bearer ${KEY}` }, params }
-      );
-      allPoland.push(...r.data.records);
-      offset = r.data.offset;
-    } while (offset);
-
-    // 4. Filter records by IDs (Divisions) and by country (Poland)
-    // --- MODIFIED LOGIC FOR POLAND: Only use Poland records, not Divisions ---
-    let polandRecords;
-    if (countryParam === 'poland') {
-      // For Poland, include all records that match the country (like in /dataset/:country)
-      polandRecords = allPoland.filter(r => {
-        const f = r.fields;
-        return polandIds.includes(r.id) ||
-          (
-            (typeof f.CountryEN === 'string' && f.CountryEN.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim()) ||
-            (Array.isArray(f.CountryEN) && f.CountryEN.some(
-              c => typeof c === 'string' && c.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim()
-            ))
-          );
-      });
-    } else {
-      // For other countries, keep the old logic (both Divisions and Poland)
-      polandRecords = allPoland.filter(r => {
-        const f = r.fields;
-        return polandIds.includes(r.id) ||
-          (
-            (typeof f.CountryEN === 'string' && f.CountryEN.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim()) ||
-            (Array.isArray(f.CountryEN) && f.CountryEN.some(
-              c => typeof c === 'string' && c.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim()
-            ))
-          );
-      });
+    if (query.last !== undefined) {
+        const last = Number(query.last);
+        if (!Number.isInteger(last) || last < 1) {
+            throw new ApiError(400, `Invalid "last" value "${query.last}". Use a positive integer.`);
+        }
+        data = data.slice(-last);
     }
 
-    // 5. Collect AI comments from both Comment table (linked to Poland) and Divisions table
-    const allComments = await loadAllComments();
-    const comments = [];
+    return { ...dataset, data, columns };
+}
 
-    if (countryParam === 'poland' || countryParam === 'eu') {
-      // Get comments from Comment table linked to Poland records
-      for (const r of polandRecords) {
-        const f = r.fields;
-        const linkedCommentRecordIds = f.Comment;
-        if (Array.isArray(linkedCommentRecordIds) && linkedCommentRecordIds.length > 0) {
-          const commentRecordId = linkedCommentRecordIds[0];
-          const commentFields = allComments[commentRecordId];
-          if (commentFields) {
-            const commentText = commentFields[aiCommentKey] || commentFields.AICommentEN;
-            if (commentText && commentText.trim()) {
-              comments.push(commentText);
-            }
-          }
-        }
-      }
-      
-      // Get comments from Divisions table
-      const divisionRecords = divisionIds.map(id => allDivisions[id]).filter(Boolean);
-      for (const f of divisionRecords) {
-        if (f[aiCommentKey] && f[aiCommentKey].trim()) {
-          comments.push(f[aiCommentKey]);
+/** Helper: Rounds away floating point noise from computed values (e.g. 0.30000000000000004). */
+function roundValue(value) {
+    return Number.isFinite(value) ? Math.round(value * 1e6) / 1e6 : null;
+}
+
+/**
+ * Series transforms for `?transform=`. `apply(values, { periods, param })` gets one column's
+ * values in chronological order (null where not numeric) and returns the transformed values.
+ * `label` and `unit` describe the result in meta; `unit` gets the dataset unit before the transform.
+ */
+const DATA_TRANSFORMS = {
+    diff: {
+        label: () => "Change from previous period",
+        unit: unit => unit,
+        apply: values => values.map((v, i) => (i > 0 && v !== null && values[i - 1] !== null ? v - values[i - 1] : null))
+    },
+    pct_change: {
+        label: () => "Percentage change from previous period",
+        unit: () => "%",
+        apply: values => values.map((v, i) => {
+            const prev = values[i - 1];
+            return i > 0 && v !== null && prev ? (v / prev - 1) * 100 : null;
+        })
+    },
+    yoy: {
+        label: () => "Year-over-year change (%)",
+        unit: () => "%",
+        requiresPeriods: true,
+        apply: (values, { periods }) => {
+            const byPeriod = new Map(periods.map((p, i) => [p, values[i]]));
+            // Ten sam okres rok wcześniej: "2024-Q1" → "2023-Q1", "2024-10" → "2023-10"
+            return values.map((v, i) => {
+                const prev = periods[i] ? byPeriod.get(String(+periods[i].slice(0, 4) - 1) + periods[i].slice(4)) : null;
+                return v !== null && prev ? (v / prev - 1) * 100 : null;
+            });
         }
-        else if (f.AICommentEN && f.AICommentEN.trim()) {
-          comments.push(f.AICommentEN);
+    },
+    index: {
+        label: base => `Index (${base} = 100)`,
+        unit: (unit, base) => `Index (${base} = 100)`,
+        requiresPeriods: true,
+        requiresParam: "a base period, e.g. index:2020",
+        apply: (values, { periods, param }) => {
+            const base = values[periods.indexOf(param)];
+            if (base === undefined || base === null || base === 0) {
+                throw new ApiError(400, `Base period "${param}" has no non-zero value in this dataset.`);
+            }
+            return values.map(v => (v !== null ? (v / base) * 100 : null));
         }
-      }
-    } else {
-      // For other countries, keep the old logic (Divisions and Poland)
-      const divisionRecords = divisionIds.map(id => allDivisions[id]).filter(Boolean);
-      for (const f of divisionRecords) {
-        if (f[aiCommentKey] && f[aiCommentKey].trim()) {
-          comments.push(f[aiCommentKey]);
+    },
+    rolling_mean: {
+        label: n => `${n}-period moving average`,
+        unit: unit => unit,
+        requiresParam: "a window size, e.g. rolling_mean:3",
+        apply: (values, { param }) => values.map((v, i) => {
+            const window = values.slice(Math.max(0, i - param + 1), i + 1);
+            return window.length === param && window.every(x => x !== null)
+                ? window.reduce((sum, x) => sum + x, 0) / param
+                : null;
+        })
+    },
+    cumulative: {
+        label: () => "Cumulative sum",
+        unit: unit => unit,
+        apply: values => {
+            let sum = 0;
+            return values.map(v => (v !== null ? (sum += v) : null));
         }
-        else if (f.AICommentEN && f.AICommentEN.trim()) {
-          comments.push(f.AICommentEN);
+    }
+};
+
+/**
+ * Helper: Applies `?transform=` (one or more comma-separated transforms, run in order) to the
+ * measure columns of a dataset. Runs before applyDataQuery so that e.g. the first year-over-year
+ * value of a `?from=` window still uses the year before it. The applied transforms are listed in
+ * `meta.transforms` and `meta.unit` is updated (the source unit is kept in `meta.originalUnit`).
+ * Throws ApiError(400) for unknown transforms or invalid parameters.
+ */
+function applyDataTransforms(dataset, transformParam) {
+    if (!transformParam) return dataset;
+    const timeColumn = dataset.columns.find(c => c.role === "time");
+    const measures = dataset.columns.filter(c => c.role === "measure");
+    const periods = dataset.data.map(row => row.period || null);
+    let data = dataset.data.map(row => ({ ...row }));
+    let unit = dataset.meta.unit || "";
+    const applied = [];
+
+    String(transformParam).split(",").map(s => s.trim()).filter(Boolean).forEach(spec => {
+        const [name, rawParam] = spec.split(":");
+        const transform = DATA_TRANSFORMS[name];
+        if (!transform) {
+            throw new ApiError(400, `Unknown transform "${name}". Use one of: ${Object.keys(DATA_TRANSFORMS).join(", ")}.`);
         }
-      }
-      for (const r of polandRecords) {
-        const f = r.fields;
-        if (f[aiCommentKey] && f[aiCommentKey].trim()) {
-          comments.push(f[aiCommentKey]);
+        if (transform.requiresPeriods && !timeColumn) {
+            throw new ApiError(400, `Transform "${name}" needs a dataset with a period column.`);
         }
-        else if (f.AICommentEN && f.AICommentEN.trim()) {
-          comments.push(f.AICommentEN);
+        let param;
+        if (transform.requiresParam) {
+            if (!rawParam) throw new ApiError(400, `Transform "${name}" needs ${transform.requiresParam}.`);
+            if (name === "index") {
+                const base = parsePeriod(rawParam);
+                if (!base) throw new ApiError(400, `Invalid base period "${rawParam}".`);
+                param = base.period;
+            } else {
+                param = Number(rawParam);
+                if (!Number.isInteger(param) || param < 1) {
+                    throw new ApiError(400, `Invalid window size "${rawParam}". Use a positive integer.`);
+                }
+            }
         }
-      }
+
+        measures.forEach(c => {
+            const values = data.map(row => (typeof row[c.key] === "number" ? row[c.key] : null));
+            const result = transform.apply(values, { periods, param });
+            data.forEach((row, i) => { row[c.key] = roundValue(result[i]); });
+        });
+        unit = transform.unit(unit, param);
+        applied.push(param === undefined
+            ? { name, label: transform.label() }
+            : { name, parameter: param, label: transform.label(param) });
+    });
+
+    const meta = { ...dataset.meta, transforms: applied, unit };
+    if (unit !== (dataset.meta.unit || "")) meta.originalUnit = dataset.meta.unit || "";
+    return { ...dataset, meta, data };
+}
+
+/**
+ * Response formats of /data/:numericId. `serialize(dataset)` gets the result of buildDataset;
+ * formats with an `extension` are sent as file downloads. When two formats share a media type,
+ * the first one wins in Accept negotiation (JSON-stat is only available through `?format=`).
+ */
+const DATA_FORMATS = {
+    json: { type: "application/json" },
+    csv: { type: "text/csv", extension: "csv", serialize: ({ columns, data }) => serializeDataRows("csv", columns, data) },
+    tsv: { type: "text/tab-separated-values", extension: "tsv", serialize: ({ columns, data }) => serializeDataRows("tsv", columns, data) },
+    ndjson: { type: "application/x-ndjson", extension: "ndjson", serialize: ({ columns, data }) => serializeDataRows("ndjson", columns, data) },
+    jsonstat: { type: "application/json", serialize: dataset => JSON.stringify(toJsonStat(dataset)) },
+    "sdmx-json": { type: "application/vnd.sdmx.data+json;version=1.0.0", serialize: dataset => JSON.stringify(toSdmxJson(dataset)) },
+    "sdmx-ml": { type: "application/vnd.sdmx.genericdata+xml;version=2.1", serialize: toSdmxGenericData }
+};
+
+/**
+ * Helper: Picks the response format from `?format=` or, when absent, from the Accept header.
+ * Returns null for an unsupported `?format=` value; JSON is the default.
+ */
+function negotiateDataFormat(req, formats = DATA_FORMATS) {
+    if (req.query.format) {
+        const format = String(req.query.format).toLowerCase();
+        return formats[format] ? format : null;
     }
+    const accepted = req.accepts(Object.values(formats).map(f => f.type));
+    const match = Object.entries(formats).find(([, f]) => f.type === accepted);
+    return match ? match[0] : "json";
+}
 
-    res.json({ count: comments.length, comments });
-  } catch (e) {
-    res.status(500).json({ error: e.toString() });
-  }
-});
+/** Helper: Quotes a CSV cell when needed (RFC 4180). */
+function toCsvCell(value) {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-// NOWY ENDPOINT: /data/:numericId/unified - zwraca zunifikowane dane z głównej tabeli i divisions
-app.get("/data/:numericId/unified", async (req, res) => {
-    const numericId = parseInt(req.params.numericId);
-    
-    if (isNaN(numericId)) {
-        return res.status(400).json({ error: "Invalid ID. Please provide a numeric ID." });
+/** Helper: TSV has no quoting, so tabs and line breaks inside a cell become spaces. */
+function toTsvCell(value) {
+    const text = value === undefined || value === null ? "" : String(value);
+    return text.replace(/[\t\r\n]+/g, " ");
+}
+
+/** Helper: Serializes dataset rows as CSV, TSV or NDJSON; headers use the localized column labels. */
+function serializeDataRows(format, columns, data) {
+    if (format === "ndjson") {
+        return data.map(row => JSON.stringify(row) + "\n").join("");
     }
+    const [toCell, separator, newline] = format === "csv" ? [toCsvCell, ",", "\r\n"] : [toTsvCell, "\t", "\n"];
+    const lines = [columns.map(c => toCell(c.label)).join(separator)];
+    data.forEach(row => lines.push(columns.map(c => toCell(row[c.key])).join(separator)));
+    return lines.join(newline) + newline;
+}
 
-    const lang = (req.query.lang || "EN").toUpperCase();
+/** Helper: Turns text into a lowercase ASCII slug ("Stopa bezrobocia" → "stopa-bezrobocia"). */
+function slugify(text) {
+    return String(text || "")
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/ł/g, "l").replace(/Ł/g, "L")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 80);
+}
 
-    try {
-        const filterFormula = `{DataID} = ${numericId}`;
-        
-        const mainResp = await axios.get(
-            `https://api.airtable.com/v0/${BASE}/${MAIN}`, {
-                headers: { Authorization: `Bearer ${KEY}` },
-                params: { filterByFormula: filterFormula }
-            }
-        );
+/**
+ * Helper: Converts a dataset to a JSON-stat 2.0 dataset. The period column becomes the "time"
+ * dimension and the remaining columns become categories of the "indicator" metric dimension.
+ */
+function toJsonStat({ id, meta, data, columns }) {
+    const timeColumn = columns.find(c => c.role === "time");
+    const measures = columns.filter(c => c.role === "measure");
+    const periods = timeColumn ? data.map(row => row.period || String(row[timeColumn.key])) : [];
 
-        const record = mainResp.data.records[0];
-        if (!record) {
-            return res.status(404).json({ error: `No data for ID "${numericId}"` });
-        }
+    const value = [];
+    data.forEach(row => measures.forEach(c => {
+        value.push(typeof row[c.key] === "number" ? row[c.key] : null);
+    }));
 
-        // NOWE: Pobierz zunifikowane dane z głównej tabeli i divisions
-        const unifiedData = await getUnifiedData(record, lang);
-        
-        // Pobierz zunifikowane komentarze AI
-        const unifiedComments = await getUnifiedAIComments(record, lang);
-        unifiedData.aiComments = unifiedComments;
+    const indicatorCategory = {
+        index: measures.map(c => c.code),
+        label: Object.fromEntries(measures.map(c => [c.code, c.label]))
+    };
+    if (meta.unit) {
+        indicatorCategory.unit = Object.fromEntries(measures.map(c => [c.code, { label: meta.unit }]));
+    }
 
-        res.json(unifiedData);
-    } catch (e) {
-        res.status(500).json({ error: e.toString() });
+    const jsonStat = {
+        version: "2.0",
+        class: "dataset",
+        label: meta.title,
+        id: ["time", "indicator"],
+        size: [periods.length, measures.length],
+        role: { time: ["time"], metric: ["indicator"] },
+        dimension: {
+            time: { label: timeColumn ? timeColumn.label : "Time", category: { index: periods } },
+            indicator: { label: meta.title, category: indicatorCategory }
+        },
+        value
+    };
+    if (meta.sourceName) jsonStat.source = meta.sourceName;
+    // JSON-stat wymaga daty ISO 8601 – pomijamy wartości, których nie da się tak odczytać
+    if (meta.lastUpdate && !isNaN(Date.parse(meta.lastUpdate))) {
+        jsonStat.updated = new Date(meta.lastUpdate).toISOString();
     }
-});
+    if (meta.description) jsonStat.note = [meta.description];
+    jsonStat.extension = { worldIndex: { id, category: meta.category, contentHub: meta.contentHub } };
+    return jsonStat;
+}
 
-// DODANE BRAKUJĄCE ENDPOINTY Z ORYGINALNEGO SKRYPTU
+// --- SDMX (SDMX-JSON 1.0, SDMX-ML 2.1 Generic Data, definicja struktury) ---
+const SDMX_AGENCY_ID = "WORLDINDEX";
+const SDMX_VERSION = "1.0";
+const SDMX_NS = {
+    message: "http://www.sdmx.org/resources/sdmxml/schemas/v2_1/message",
+    common: "http://www.sdmx.org/resources/sdmxml/schemas/v2_1/common",
+    generic: "http://www.sdmx.org/resources/sdmxml/schemas/v2_1/data/generic",
+    structure: "http://www.sdmx.org/resources/sdmxml/schemas/v2_1/structure"
+};
 
-app.get("/dataset/by-hub/:hubTitle", async (req, res) => {
-    const hubTitle = req.params.hubTitle;
-    const lang = (req.query.lang || "EN").toUpperCase();
-    const titleKey = `Title${lang}`;
-    const descKey = `Description${lang}`;
-    
-    try {
-        const hubResp = await axios.get(
-            `https://api.airtable.com/v0/${BASE}/${encodeURIComponent(CONTENT_HUBS_TABLE)}`,
-            {
-                headers: { Authorization: `Bearer ${KEY}` },
-                params: {
-                    filterByFormula: `LOWER({TitleEN}) = "${hubTitle.toLowerCase()}"`
-                }
-            }
-        );
+/** Helper: Escapes text for XML element content and attribute values. */
+function escapeXml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
 
-        const hubRecord = hubResp.data.records[0];
+/**
+ * Helper: Describes a dataset in SDMX terms. Every dataset gets its own data structure
+ * definition (DSD) with an INDICATOR dimension (one code per measure column), a TIME_PERIOD
+ * dimension, the OBS_VALUE primary measure and a dataset-level UNIT_MEASURE attribute.
+ * `series` holds one entry per indicator with its numeric observations in table order.
+ */
+function describeSdmxDataset({ id, lang, meta, data, columns }) {
+    const suffix = String(id).toUpperCase();
+    const timeColumn = columns.find(c => c.role === "time");
+    const measures = columns.filter(c => c.role === "measure");
+    return {
+        dsdId: `DSD_WI_${suffix}`,
+        codelistId: `CL_INDICATOR_${suffix}`,
+        xmlLang: meta.language || LANGUAGE_TAGS[lang] || "en",
+        title: meta.title || `Dataset ${id}`,
+        unit: meta.unit || "",
+        timeLabel: timeColumn ? timeColumn.label : "Time",
+        periods: timeColumn ? data.map(row => row.period || String(row[timeColumn.key])) : [],
+        series: measures.map(c => ({
+            code: c.code,
+            label: c.label,
+            observations: timeColumn
+                ? data
+                    .filter(row => typeof row[c.key] === "number")
+                    .map(row => ({ period: row.period || String(row[timeColumn.key]), value: row[c.key] }))
+                : []
+        }))
+    };
+}
 
-        if (!hubRecord || !hubRecord.fields.Charts || hubRecord.fields.Charts.length === 0) {
-            return res.status(404).json({ error: `Content hub "${hubTitle}" not found or has no linked charts.` });
-        }
+/** Helper: Message header fields shared by the SDMX-JSON and SDMX-ML messages. */
+function createSdmxHeader(dataset) {
+    return {
+        id: `WI_${String(dataset.id).toUpperCase()}_${Date.now()}`,
+        test: false,
+        prepared: new Date().toISOString(),
+        sender: { id: SDMX_AGENCY_ID }
+    };
+}
 
-        const chartRecordIds = hubRecord.fields.Charts;
-        const filterFormula = `OR(${chartRecordIds.map(id => `RECORD_ID() = '${id}'`).join(',')})`;
-        
-        let allRecords = [], offset = null;
-        do {
-            const r = await axios.get(
-                `https://api.airtable.com/v0/${BASE}/${MAIN}`,
-                {
-                    headers: { Authorization: `Bearer ${KEY}` },
-                    params: { offset, pageSize: 100, filterByFormula: filterFormula }
-                }
-            );
-            allRecords.push(...r.data.records);
-            offset = r.data.offset;
-        } while (offset);
+/** Helper: Builds an SDMX-JSON 1.0 data message (series per indicator, time at observation level). */
+function toSdmxJson(dataset) {
+    const sdmx = describeSdmxDataset(dataset);
+    const periodIndex = new Map(sdmx.periods.map((p, i) => [p, i]));
 
-        const catMap = await loadAllCategories();
-        const items = allRecords
-            .filter(r => r.fields.Title && r.fields.Title.trim())
-            .map(r => {
-                const f = r.fields;
-                let catName = null;
-                const categorySelectIds = f.CategorySelect || [];
-                if (Array.isArray(categorySelectIds) && categorySelectIds.length) {
-                    const cf = catMap[categorySelectIds[0]];
-                    if (cf) {
-                        const key = lang === "EN" ? "Secondary" : `Secondary${lang}`;
-                        catName = cf[key] || cf["Secondary"] || null;
-                    }
-                }
-                return {
-                    id: f.DataID || r.id,
-                    meta: {
-                        title: f[titleKey] || f.Title,
-                        description: f[descKey] || f.DescriptionEN || "",
-                        category: catName,
-                        lastUpdate: f.UpdatedThere || "",
-                        nextUpdateTime: f.NextUpdateTime || ""
-                    }
-                };
-            });
-        
-        items.sort((a, b) => new Date(b.meta.lastUpdate) - new Date(a.meta.lastUpdate));
-        
-        res.json({ count: items.length, items });
+    const series = {};
+    sdmx.series.forEach((s, i) => {
+        const observations = {};
+        s.observations.forEach(o => { observations[periodIndex.get(o.period)] = [o.value]; });
+        series[String(i)] = { observations };
+    });
 
-    } catch (e) {
-        res.status(500).json({ error: e.toString() });
+    return {
+        header: createSdmxHeader(dataset),
+        dataSets: [{
+            action: "Information",
+            attributes: sdmx.unit ? [0] : [null],
+            series
+        }],
+        structure: {
+            name: sdmx.title,
+            description: dataset.meta.description || "",
+            links: [{ rel: "datastructure", href: `/data/${dataset.id}/structure` }],
+            dimensions: {
+                dataSet: [],
+                series: [{
+                    id: "INDICATOR",
+                    name: "Indicator",
+                    keyPosition: 0,
+                    values: sdmx.series.map(s => ({ id: s.code, name: s.label }))
+                }],
+                observation: [{
+                    id: "TIME_PERIOD",
+                    name: sdmx.timeLabel,
+                    keyPosition: 1,
+                    role: "time",
+                    values: sdmx.periods.map(p => ({ id: p, name: p }))
+                }]
+            },
+            attributes: {
+                dataSet: [{
+                    id: "UNIT_MEASURE",
+                    name: "Unit of measure",
+                    values: sdmx.unit ? [{ id: sdmx.unit, name: sdmx.unit }] : []
+                }],
+                series: [],
+                observation: []
+            }
+        }
+    };
+}
+
+/** Helper: Builds an SDMX-ML 2.1 Generic Data message for a dataset. */
+function toSdmxGenericData(dataset) {
+    const sdmx = describeSdmxDataset(dataset);
+    const header = createSdmxHeader(dataset);
+    const lines = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<message:GenericData xmlns:message="${SDMX_NS.message}" xmlns:common="${SDMX_NS.common}" xmlns:generic="${SDMX_NS.generic}">`,
+        `  <message:Header>`,
+        `    <message:ID>${escapeXml(header.id)}</message:ID>`,
+        `    <message:Test>false</message:Test>`,
+        `    <message:Prepared>${header.prepared}</message:Prepared>`,
+        `    <message:Sender id="${SDMX_AGENCY_ID}"/>`,
+        `    <message:Structure structureID="${sdmx.dsdId}" dimensionAtObservation="TIME_PERIOD">`,
+        `      <common:Structure>`,
+        `        <Ref agencyID="${SDMX_AGENCY_ID}" id="${sdmx.dsdId}" version="${SDMX_VERSION}"/>`,
+        `      </common:Structure>`,
+        `    </message:Structure>`,
+        `  </message:Header>`,
+        `  <message:DataSet structureRef="${sdmx.dsdId}">`
+    ];
+    if (sdmx.unit) {
+        lines.push(`    <generic:Attributes>`);
+        lines.push(`      <generic:Value id="UNIT_MEASURE" value="${escapeXml(sdmx.unit)}"/>`);
+        lines.push(`    </generic:Attributes>`);
     }
-});
+    sdmx.series.forEach(s => {
+        lines.push(`    <generic:Series>`);
+        lines.push(`      <generic:SeriesKey>`);
+        lines.push(`        <generic:Value id="INDICATOR" value="${escapeXml(s.code)}"/>`);
+        lines.push(`      </generic:SeriesKey>`);
+        s.observations.forEach(o => {
+            lines.push(`      <generic:Obs>`);
+            lines.push(`        <generic:ObsDimension value="${escapeXml(o.period)}"/>`);
+            lines.push(`        <generic:ObsValue value="${o.value}"/>`);
+            lines.push(`      </generic:Obs>`);
+        });
+        lines.push(`    </generic:Series>`);
+    });
+    lines.push(`  </message:DataSet>`);
+    lines.push(`</message:GenericData>`);
+    return lines.join("\n") + "\n";
+}
 
-app.get("/dataset/:country/:category", async (req, res) => {
-  const lang = (req.query.lang || "EN").toUpperCase();
-  const titleKey = `Title${lang}`;
-  const descKey = `Description${lang}`;
-  const catParam = req.params.category.toLowerCase();
-  const country = req.params.country;
-  const contentHub = req.query.contentHub;
-  
-  try {
-    // 1. Find Category record(s) for the country
-    const allCategories = await loadAllCategories();
-    const countryNameForFiltering = getCountryNameForFiltering(country);
+/**
+ * Helper: Builds the SDMX-ML 2.1 Structure message with the dataset's data structure definition,
+ * its indicator codelist and the concept scheme shared by all WorldIndex datasets.
+ */
+function toSdmxStructure(dataset) {
+    const sdmx = describeSdmxDataset(dataset);
+    const header = createSdmxHeader(dataset);
+    const name = (text, indent) => `${indent}<common:Name xml:lang="${sdmx.xmlLang}">${escapeXml(text)}</common:Name>`;
+    const conceptRef = conceptId =>
+        `<Ref agencyID="${SDMX_AGENCY_ID}" maintainableParentID="CS_WORLDINDEX" maintainableParentVersion="${SDMX_VERSION}" id="${conceptId}"/>`;
+    const concepts = [
+        ["INDICATOR", "Indicator"],
+        ["TIME_PERIOD", "Time period"],
+        ["OBS_VALUE", "Observation value"],
+        ["UNIT_MEASURE", "Unit of measure"]
+    ];
 
-    const matchingCategories = Object.entries(allCategories)
-      .filter(([id, fields]) => {
-        const titleEN = Array.isArray(fields.TitleEN) ? fields.TitleEN[0] : fields.TitleEN;
-        return titleEN && titleEN.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim();
-      });
+    const lines = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<message:Structure xmlns:message="${SDMX_NS.message}" xmlns:common="${SDMX_NS.common}" xmlns:structure="${SDMX_NS.structure}">`,
+        `  <message:Header>`,
+        `    <message:ID>${escapeXml(header.id)}</message:ID>`,
+        `    <message:Test>false</message:Test>`,
+        `    <message:Prepared>${header.prepared}</message:Prepared>`,
+        `    <message:Sender id="${SDMX_AGENCY_ID}"/>`,
+        `  </message:Header>`,
+        `  <message:Structures>`,
+        `    <structure:Codelists>`,
+        `      <structure:Codelist agencyID="${SDMX_AGENCY_ID}" id="${sdmx.codelistId}" version="${SDMX_VERSION}">`,
+        name(sdmx.title, "        ")
+    ];
+    sdmx.series.forEach(s => {
+        lines.push(`        <structure:Code id="${escapeXml(s.code)}">`);
+        lines.push(name(s.label, "          "));
+        lines.push(`        </structure:Code>`);
+    });
+    lines.push(
+        `      </structure:Codelist>`,
+        `    </structure:Codelists>`,
+        `    <structure:Concepts>`,
+        `      <structure:ConceptScheme agencyID="${SDMX_AGENCY_ID}" id="CS_WORLDINDEX" version="${SDMX_VERSION}">`,
+        `        <common:Name xml:lang="en">WorldIndex concepts</common:Name>`
+    );
+    concepts.forEach(([conceptId, conceptName]) => {
+        lines.push(`        <structure:Concept id="${conceptId}">`);
+        lines.push(`          <common:Name xml:lang="en">${conceptName}</common:Name>`);
+        lines.push(`        </structure:Concept>`);
+    });
+    lines.push(
+        `      </structure:ConceptScheme>`,
+        `    </structure:Concepts>`,
+        `    <structure:DataStructures>`,
+        `      <structure:DataStructure agencyID="${SDMX_AGENCY_ID}" id="${sdmx.dsdId}" version="${SDMX_VERSION}">`,
+        name(sdmx.title, "        "),
+        `        <structure:DataStructureComponents>`,
+        `          <structure:DimensionList id="DimensionDescriptor">`,
+        `            <structure:Dimension id="INDICATOR" position="1">`,
+        `              <structure:ConceptIdentity>${conceptRef("INDICATOR")}</structure:ConceptIdentity>`,
+        `              <structure:LocalRepresentation>`,
+        `                <structure:Enumeration><Ref agencyID="${SDMX_AGENCY_ID}" id="${sdmx.codelistId}" version="${SDMX_VERSION}"/></structure:Enumeration>`,
+        `              </structure:LocalRepresentation>`,
+        `            </structure:Dimension>`,
+        `            <structure:TimeDimension id="TIME_PERIOD" position="2">`,
+        `              <structure:ConceptIdentity>${conceptRef("TIME_PERIOD")}</structure:ConceptIdentity>`,
+        `              <structure:LocalRepresentation><structure:TextFormat textType="ObservationalTimePeriod"/></structure:LocalRepresentation>`,
+        `            </structure:TimeDimension>`,
+        `          </structure:DimensionList>`,
+        `          <structure:AttributeList id="AttributeDescriptor">`,
+        `            <structure:Attribute id="UNIT_MEASURE" assignmentStatus="Conditional">`,
+        `              <structure:ConceptIdentity>${conceptRef("UNIT_MEASURE")}</structure:ConceptIdentity>`,
+        `              <structure:LocalRepresentation><structure:TextFormat textType="String"/></structure:LocalRepresentation>`,
+        `              <structure:AttributeRelationship><structure:None/></structure:AttributeRelationship>`,
+        `            </structure:Attribute>`,
+        `          </structure:AttributeList>`,
+        `          <structure:MeasureList id="MeasureDescriptor">`,
+        `            <structure:PrimaryMeasure id="OBS_VALUE">`,
+        `              <structure:ConceptIdentity>${conceptRef("OBS_VALUE")}</structure:ConceptIdentity>`,
+        `            </structure:PrimaryMeasure>`,
+        `          </structure:MeasureList>`,
+        `        </structure:DataStructureComponents>`,
+        `      </structure:DataStructure>`,
+        `    </structure:DataStructures>`,
+        `  </message:Structures>`,
+        `</message:Structure>`
+    );
+    return lines.join("\n") + "\n";
+}
 
-    if (matchingCategories.length === 0) {
-      return res.status(404).json({ error: `No category found for country "${countryNameForFiltering}"` });
+app.get("/data/:numericId", async (req, res) => {
+  const lang = req.lang;
+  const format = negotiateDataFormat(req);
+  res.vary("Accept");
+  if (!format) {
+    return res.status(400).json({ error: `Unsupported format "${req.query.format}". Use one of: ${Object.keys(DATA_FORMATS).join(", ")}.` });
+  }
+
+  try {
+    const id = await resolveDatasetParam(req, res);
+    if (!id) return;
+    const dataset = applyDataQuery(applyDataTransforms(await buildDataset(id, lang), req.query.transform), req.query);
+    if (format === "json") {
+      const { meta, data, translations } = dataset;
+      return res.json({ meta, data, translations });
     }
 
-    // 2. Collect all linked record IDs from both Divisions and Poland
-    let divisionIds = [];
-    let polandIds = [];
-    for (const [catId, fields] of matchingCategories) {
-      if (Array.isArray(fields.Divisions)) divisionIds.push(...fields.Divisions);
-      if (Array.isArray(fields.Poland)) polandIds.push(...fields.Poland);
+    const { type, extension, serialize } = DATA_FORMATS[format];
+    res.set("Content-Type", `${type}; charset=utf-8`);
+    if (extension) {
+      const fileName = `${slugify(dataset.meta.title) || `dataset-${dataset.id}`}.${extension}`;
+      res.set("Content-Disposition", `attachment; filename="${fileName}"`);
     }
+    res.send(serialize(dataset));
+  } catch (e) {
+    if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.toString() });
+  }
+});
 
-    // 3. Fetch records from Divisions and Poland tables
-    const allDivisions = await loadAllDivisions();
-    const allPoland = [];
-    let offset = null;
-    do {
-      const params = { pageSize: 100, offset };
-      const r = await axios.get(
-        `https://api.airtable.com/v0/${BASE}/${MAIN}`,
-        { headers: { Authorization: `Bearer ${KEY}` }, params }
-      );
-      allPoland.push(...r.data.records);
-      offset = r.data.offset;
-    } while (offset);
-
-    // 4. Filter records by IDs and category
-    const divisionRecords = divisionIds.map(id => allDivisions[id]).filter(Boolean);
-    const polandRecords = allPoland.filter(r => polandIds.includes(r.id));
+// Definicja struktury danych (DSD) SDMX wygenerowana dla pojedynczego zbioru
+app.get("/data/:numericId/structure", async (req, res) => {
+  const lang = req.lang;
+  try {
+    const id = await resolveDatasetParam(req, res, "/structure");
+    if (!id) return;
+    const dataset = await buildDataset(id, lang);
+    res.set("Content-Type", "application/vnd.sdmx.structure+xml;version=2.1; charset=utf-8");
+    res.send(toSdmxStructure(dataset));
+  } catch (e) {
+    if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.toString() });
+  }
+});
+
+// --- PORÓWNANIE ZBIORÓW (/compare) ---
+const COMPARE_MAX_IDS = 10;
+// Porównanie zwraca jedną tabelę, więc obsługuje tylko formaty tabelaryczne
+const COMPARE_FORMATS = {
+    json: DATA_FORMATS.json,
+    csv: DATA_FORMATS.csv,
+    tsv: DATA_FORMATS.tsv,
+    ndjson: DATA_FORMATS.ndjson
+};
+
+/**
+ * Helper: Builds the comparison table for `/compare`. Each entry of `ids` is a dataset ID
+ * ("2042", "d15") or slug optionally followed by a column code ("2050:women"); every dataset goes through
+ * buildDataset, applyDataTransforms (`?transform=`, plus `index:<rebase>` for `?rebase=`) and
+ * applyDataQuery (`?from=`, `?to=`, `?last=`). Series are aligned on their ISO `period`; periods
+ * missing from a series are null. Returns `{ series, columns, data }`.
+ */
+async function buildComparison(ids, lang, query) {
+    const transform = [query.transform, query.rebase ? `index:${query.rebase}` : null].filter(Boolean).join(",");
+    const datasets = await Promise.all(ids.map(async entry => {
+        const [idOrSlug, columnCode] = entry.split(":");
+        const ref = await resolveDatasetRef(idOrSlug);
+        if (!ref) throw new ApiError(404, `No dataset with the ID or slug "${idOrSlug}".`);
+        const dataset = applyDataQuery(
+            applyDataTransforms(await buildDataset(ref.id, lang), transform),
+            { from: query.from, to: query.to, last: query.last, columns: columnCode }
+        );
+        return { entry, dataset };
+    }));
 
-    // 5. Filter by category (using CategoryView field for Poland records)
-    const filteredPolandRecords = polandRecords.filter(r => {
-      const categoryViewValue = Array.isArray(r.fields.CategoryView) ? r.fields.CategoryView[0] : r.fields.CategoryView;
-      return categoryViewValue && categoryViewValue.toLowerCase().trim() === catParam.trim();
+    const series = [];
+    datasets.forEach(({ entry, dataset }) => {
+        const { meta, columns } = dataset;
+        const measures = columns.filter(c => c.role === "measure");
+        if (!columns.some(c => c.role === "time")) {
+            throw new ApiError(400, `Dataset "${dataset.id}" has no period column and cannot be compared.`);
+        }
+        measures.forEach(c => {
+            series.push({
+                id: measures.length === 1 ? entry : `${dataset.id}:${c.code}`,
+                datasetId: dataset.id,
+                column: c.code,
+                label: measures.length === 1 ? meta.title : `${meta.title} – ${c.label}`,
+                unit: meta.unit || "",
+                sourceName: meta.sourceName || "",
+                language: meta.language,
+                frequency: meta.frequency || null,
+                transforms: meta.transforms || [],
+                values: new Map(dataset.data.filter(row => row.period).map(row => [row.period, row[c.key]]))
+            });
+        });
     });
 
-    // 6. Filter division records by category (if they have category field)
-    const filteredDivisionRecords = divisionRecords.filter(f => {
-      // Check if division has category field that matches
-      const divisionCategory = f.Category || f.CategoryView;
-      if (divisionCategory) {
-        const categoryValue = Array.isArray(divisionCategory) ? divisionCategory[0] : divisionCategory;
-        return categoryValue && categoryValue.toLowerCase().trim() === catParam.trim();
-      }
-      return true; // Include if no category field
+    const periods = new Map();
+    series.forEach(s => s.values.forEach((v, period) => {
+        if (!periods.has(period)) periods.set(period, parsePeriod(period));
+    }));
+    const sortedPeriods = [...periods.keys()].sort((a, b) => {
+        const pa = periods.get(a), pb = periods.get(b);
+        return pa.start.localeCompare(pb.start) || pa.end.localeCompare(pb.end);
     });
 
-    // 7. Combine and format results
-    const items = [
-      ...filteredDivisionRecords.map(f => {
-        // For division records, try to get metadata from linked Poland record
-        let description = f[descKey] || f.DescriptionEN || "";
-        let lastUpdate = f.UpdatedThere || "";
-        let nextUpdateTime = f.NextUpdateTime || "";
-        
-        // Try to find linked Poland record via Main_Data field
-        const mainDataIds = f.Main_Data;
-        if (mainDataIds && Array.isArray(mainDataIds) && mainDataIds.length > 0) {
-          const mainDataId = mainDataIds[0]; // Get the first ID from the array
-          const linkedPolandRecord = allPoland.find(r => r.id === mainDataId);
-          if (linkedPolandRecord) {
-            const polandFields = linkedPolandRecord.fields;
-            description = polandFields[descKey] || polandFields.DescriptionEN || description;
-            lastUpdate = polandFields.UpdatedThere || lastUpdate;
-            nextUpdateTime = polandFields.NextUpdateTime || nextUpdateTime;
-          }
-        }
-        
-        return {
-          id: `d${f.DataID || f.id}`,
-          meta: {
-            title: Array.isArray(f[titleKey]) ? f[titleKey][0] : (f[titleKey] || (Array.isArray(f.Title) ? f.Title[0] : f.Title)),
-            description: description,
-            lastUpdate: lastUpdate,
-            nextUpdateTime: nextUpdateTime
-          }
-        };
-      }),
-      ...filteredPolandRecords.map(r => {
-        const f = r.fields;
-        return {
-          id: f.DataID || r.id,
-          meta: {
-            title: f[titleKey] || f.Title,
-            description: f[descKey] || f.DescriptionEN || "",
-            lastUpdate: f.UpdatedThere || "",
-            nextUpdateTime: f.NextUpdateTime || ""
-          }
-        };
-      })
+    const data = sortedPeriods.map(period => {
+        const row = { period };
+        series.forEach(s => { row[s.id] = s.values.has(period) ? s.values.get(period) : null; });
+        return row;
+    });
+    const columns = [
+        { key: "period", label: "period", code: "period", role: "time" },
+        ...series.map(s => ({ key: s.id, label: s.label, code: s.id, role: "measure" }))
     ];
+    return { series: series.map(({ values, ...s }) => s), columns, data };
+}
+
+app.get("/compare", async (req, res) => {
+  const lang = req.lang;
+  const ids = [...new Set(String(req.query.ids || "").split(",").map(s => s.trim()).filter(Boolean))];
+  const format = negotiateDataFormat(req, COMPARE_FORMATS);
+  res.vary("Accept");
+  if (!format) {
+    return res.status(400).json({ error: `Unsupported format "${req.query.format}". Use one of: ${Object.keys(COMPARE_FORMATS).join(", ")}.` });
+  }
+  if (ids.length < 1 || ids.length > COMPARE_MAX_IDS) {
+    return res.status(400).json({ error: `Provide between 1 and ${COMPARE_MAX_IDS} dataset IDs in "ids", e.g. ?ids=2042,d15,3011.` });
+  }
 
-    items.sort((a, b) => new Date(b.meta.lastUpdate) - new Date(a.meta.lastUpdate));
+  try {
+    const comparison = await buildComparison(ids, lang, req.query);
+    if (format === "json") {
+      const { series, data } = comparison;
+      return res.json({ count: data.length, series, data });
+    }
 
-    res.json({ count: items.length, items });
+    const { type, extension, serialize } = COMPARE_FORMATS[format];
+    const fileName = `compare-${ids.map(id => slugify(id)).join("-")}.${extension}`;
+    res.set("Content-Type", `${type}; charset=utf-8`);
+    res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.send(serialize(comparison));
   } catch (e) {
-    res.status(500).json({ error: e.toString() });
+    if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.toString() });
   }
 });
 
-app.get("/dataset/:country", async (req, res) => {
-  const lang = (req.query.lang || "EN").toUpperCase();
-  const titleKey = `Title${lang}`;
-  const descKey = `Description${lang}`;
-  const countryParam = req.params.country.toLowerCase();
+// --- WYSZUKIWANIE (/search) ---
+// Wagi pól przy liczeniu trafności; dopasowanie w języku żądania dostaje dodatkowy mnożnik
+const SEARCH_FIELD_WEIGHTS = { Title: 5, Description: 3, Definitions: 1.5, Methodology: 1.5, AIComment: 1 };
+const SEARCH_LANGUAGE_BOOST = 1.2;
+const SEARCH_SNIPPET_LENGTH = 160;
+const SEARCH_MAX_HIGHLIGHTS = 3;
+const SEARCH_TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
 
-  try {
-    // 1. Find Category record(s) for the country
-    const allCategories = await loadAllCategories();
-    const countryNameForFiltering = getCountryNameForFiltering(countryParam);
+/** Helper: Lowercases a word and strips diacritics, so "Chômage" matches "chomage". */
+function normalizeSearchTerm(word) {
+    return word.toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/ł/g, "l");
+}
 
-    const matchingCategories = Object.entries(allCategories)
-      .filter(([id, fields]) => {
-        const titleEN = Array.isArray(fields.TitleEN) ? fields.TitleEN[0] : fields.TitleEN;
-        return titleEN && titleEN.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim();
-      });
+/** Helper: Splits text into normalized tokens that remember their position in the original text. */
+function tokenizeForSearch(text) {
+    return Array.from(String(text).matchAll(SEARCH_TOKEN_PATTERN), m => ({
+        norm: normalizeSearchTerm(m[0]),
+        start: m.index,
+        end: m.index + m[0].length
+    }));
+}
 
-    if (matchingCategories.length === 0) {
-      return res.status(404).json({ error: `No category found for country "${countryNameForFiltering}"` });
-    }
+/**
+ * Helper: How well a query term matches a token: 1 for the same word, 0.8 when the token starts
+ * with the term, 0.6 when both share a long common prefix (inflected forms such as "bezrobocie" /
+ * "bezrobocia") and 0 otherwise. Chinese and Japanese text has no spaces, so CJK terms match anywhere.
+ */
+function scoreTermMatch(term, token) {
+    if (token === term) return 1;
+    if (token.startsWith(term)) return 0.8;
+    if (CJK_PATTERN.test(term)) return token.includes(term) ? 0.8 : 0;
+    const stemLength = Math.max(4, term.length - 2);
+    if (term.length < 5 || token.length < stemLength) return 0;
+    return token.slice(0, stemLength) === term.slice(0, stemLength) ? 0.6 : 0;
+}
 
-    // 2. Collect all linked record IDs from both Divisions and Poland
-    let divisionIds = [];
-    let polandIds = [];
-    for (const [catId, fields] of matchingCategories) {
-      if (Array.isArray(fields.Divisions)) divisionIds.push(...fields.Divisions);
-      if (Array.isArray(fields.Poland)) polandIds.push(...fields.Poland);
-    }
+/** Helper: Returns a field value as a single trimmed string ("" when missing). */
+function toSearchText(value) {
+    const text = Array.isArray(value) ? value.join(" ") : value;
+    return typeof text === "string" ? text.trim() : "";
+}
 
-    // 3. Fetch records from Divisions and Poland tables
-    const allDivisions = await loadAllDivisions();
-    const allPoland = [];
-    let offset = null;
-    do {
-      const params = { pageSize: 100, offset };
-      const r = await axios.get(
-        `https://api.airtable.com/v0/${BASE}/${MAIN}`,
-        { headers: { Authorization: `Bearer ${KEY}` }, params }
-      );
-      allPoland.push(...r.data.records);
-      offset = r.data.offset;
-    } while (offset);
+/**
+ * Helper: Builds one search document per main record and division with its searchable fields
+ * in every language, the English country, category and content hub names used for facets and
+ * its linked comment and metadata records (divisions use the metadata of their main record).
+ */
+function buildSearchDocuments({ store, divisions, comments, metadata, categories, contentHubs }) {
+    const first = value => (Array.isArray(value) ? value[0] : value);
+    const hubTitlesById = new Map(Object.values(contentHubs).map(h => [h.id, h.TitleEN || h.Title]));
 
-    // 4. Filter records by IDs
-    const divisionRecords = divisionIds.map(id => allDivisions[id]).filter(Boolean);
-    const polandRecords = allPoland.filter(r => polandIds.includes(r.id));
+    const describeCategory = categoryIds => {
+        const cf = categories[first(categoryIds)];
+        return cf ? { country: first(cf.TitleEN) || null, category: cf.SecondaryEN || cf.Secondary || null } : {};
+    };
+    const collectFields = (...sources) => {
+        const fields = [];
+        Object.keys(SEARCH_FIELD_WEIGHTS).forEach(name => {
+            LANGUAGES.forEach(lang => {
+                const key = `${name}${lang}`;
+                const texts = new Set(sources.map(source => toSearchText(source && source[key])).filter(Boolean));
+                texts.forEach(text => fields.push({ name, lang, text, tokens: tokenizeForSearch(text) }));
+            });
+        });
+        return fields;
+    };
 
-    // 5. Combine and format results
-    const items = [
-      ...divisionRecords.map(f => {
-        // For division records, try to get metadata from linked Poland record
-        let description = f[descKey] || f.DescriptionEN || "";
-        let lastUpdate = f.UpdatedThere || "";
-        let nextUpdateTime = f.NextUpdateTime || "";
-        
-        // Try to find linked Poland record via Main_Data field
-        const mainDataIds = f.Main_Data;
-        if (mainDataIds && Array.isArray(mainDataIds) && mainDataIds.length > 0) {
-          const mainDataId = mainDataIds[0]; // Get the first ID from the array
-          const linkedPolandRecord = allPoland.find(r => r.id === mainDataId);
-          if (linkedPolandRecord) {
-            const polandFields = linkedPolandRecord.fields;
-            description = polandFields[descKey] || polandFields.DescriptionEN || description;
-            lastUpdate = polandFields.UpdatedThere || lastUpdate;
-            nextUpdateTime = polandFields.NextUpdateTime || nextUpdateTime;
-          }
-        }
-        
-        return {
-          id: `d${f.DataID || f.id}`,
-          meta: {
-            title: Array.isArray(f[titleKey]) ? f[titleKey][0] : (f[titleKey] || (Array.isArray(f.Title) ? f.Title[0] : f.Title)),
-            description: description,
-            lastUpdate: lastUpdate,
-            nextUpdateTime: nextUpdateTime
-          }
-        };
-      }),
-      ...polandRecords.map(r => {
-        const f = r.fields;
-        return {
-          id: f.DataID || r.id,
-          meta: {
-            title: f[titleKey] || f.Title,
-            description: f[descKey] || f.DescriptionEN || "",
-            lastUpdate: f.UpdatedThere || "",
-            nextUpdateTime: f.NextUpdateTime || ""
-          }
+    const documents = [];
+    const mainDocuments = new Map();
+    store.records.forEach(record => {
+        const f = record.fields;
+        if (f.DataID === undefined || f.DataID === null || f.DataID === "") return;
+        const { country, category } = describeCategory(f.CategorySelect);
+        const doc = {
+            id: f.DataID,
+            type: "dataset",
+            fields: f,
+            country: country || first(f.CountryEN) || null,
+            category: category || null,
+            contentHubs: (f["Content hubs in build"] || []).map(id => hubTitlesById.get(id)).filter(Boolean),
+            comment: comments[first(f.Comment)] || null,
+            metadata: metadata[first(f.Metadata)] || null,
+            searchFields: collectFields(f, comments[first(f.Comment)], metadata[first(f.Metadata)])
         };
-      })
-    ];
-
-    items.sort((a, b) => new Date(b.meta.lastUpdate) - new Date(a.meta.lastUpdate));
-
-    res.json({ count: items.length, items });
-  } catch (e) {
-    res.status(500).json({ error: e.toString() });
-  }
-});
-
-app.get("/categories/:country", async (req, res) => {
-  const lang = (req.query.lang || "EN").toUpperCase();
-  const fieldKey = lang === "EN" ? "Secondary" : `Secondary${lang}`;
-  const country = req.params.country;
-  
-  const countryNameForFiltering = getCountryNameForFiltering(country);
-  
-  try {
-    const allCategories = await loadAllCategories();
-
-    const categories = Object.values(allCategories)
-      .filter(recFields => {
-        const titleEN = Array.isArray(recFields.TitleEN) ? recFields.TitleEN[0] : recFields.TitleEN;
-        const matchesCountry = titleEN && titleEN.toLowerCase().trim() === countryNameForFiltering.toLowerCase().trim();
-        return matchesCountry;
-      })
-      .map(recFields => recFields[fieldKey] || recFields["Secondary"])
-      .filter(name => name);
+        documents.push(doc);
+        mainDocuments.set(record.id, doc);
+    });
 
-    const uniqueCategories = Array.from(new Set(categories)).sort();
+    Object.values(divisions).forEach(f => {
+        if (f.DataID === undefined || f.DataID === null || f.DataID === "") return;
+        // Dywizje dziedziczą kraj, hub i metadane po powiązanym rekordzie głównym
+        const main = mainDocuments.get(first(f.Main_Data));
+        const { country, category } = describeCategory(f.CategorySelect);
+        documents.push({
+            id: `d${f.DataID}`,
+            type: "division",
+            fields: f,
+            country: country || (main && main.country) || null,
+            category: category || (main && main.category) || null,
+            contentHubs: main ? main.contentHubs : [],
+            comment: comments[first(f.Comment)] || null,
+            metadata: (main && main.metadata) || null,
+            searchFields: collectFields(f, comments[first(f.Comment)], main && main.metadata)
+        });
+    });
+    return documents;
+}
 
-    res.json({ count: uniqueCategories.length, categories: uniqueCategories });
-  } catch (e) {
-    res.status(500).json({ error: e.toString() });
-  }
-});
+let searchDocumentsCache = { sources: [], documents: [] };
 
-app.get("/contenthubs/:country", async (req, res) => {
-    const countryParam = req.params.country;
-    const lang = (req.query.lang || "EN").toUpperCase();
-    const viewIdentifier = getCountryViewId(countryParam);
-    const titleKey = `Title${lang}`;
-    
-    try {
-        const hubTranslationsMap = await loadAllContentHubs();
+/**
+ * Helper: Returns the search documents, rebuilding them only when one of the cached tables
+ * they are built from has been reloaded.
+ */
+async function loadSearchDocuments() {
+    const [store, divisions, comments, metadata, categories, contentHubs] = await Promise.all([
+        loadMainStore(), loadAllDivisions(), loadAllComments(), loadAllMetadata(), loadAllCategories(), loadAllContentHubs()
+    ]);
+    const sources = [store, divisions, comments, metadata, categories, contentHubs];
+    if (sources.some((source, i) => source !== searchDocumentsCache.sources[i])) {
+        const documents = buildSearchDocuments({ store, divisions, comments, metadata, categories, contentHubs });
+        searchDocumentsCache = { sources, documents };
+        log.debug("search index rebuilt", { documents: documents.length });
+    }
+    return searchDocumentsCache.documents;
+}
 
-        let allRecords = [], offset = null;
-        do {
-            const r = await axios.get(
-                `https://api.airtable.com/v0/${BASE}/${MAIN}`,
-                { headers: { Authorization: `Bearer ${KEY}` }, params: { offset, pageSize: 100, view: viewIdentifier } }
-            );
-            allRecords.push(...r.data.records);
-            offset = r.data.offset;
-        } while (offset);
+/** Helper: Escapes text for HTML, so highlighted snippets can be inserted into a page as-is. */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
 
-        const contentHubs = new Set();
+/** Helper: Cuts a snippet around the matched tokens and wraps them in <mark>. */
+function buildSearchSnippet(text, matchedTokens) {
+    let from = 0;
+    let to = text.length;
+    if (text.length > SEARCH_SNIPPET_LENGTH) {
+        from = Math.max(0, matchedTokens[0].start - Math.floor(SEARCH_SNIPPET_LENGTH / 3));
+        to = Math.min(text.length, from + SEARCH_SNIPPET_LENGTH);
+    }
+    let snippet = "";
+    let position = from;
+    matchedTokens.filter(t => t.start >= from && t.end <= to).forEach(t => {
+        snippet += escapeHtml(text.slice(position, t.start)) + `<mark>${escapeHtml(text.slice(t.start, t.end))}</mark>`;
+        position = t.end;
+    });
+    snippet += escapeHtml(text.slice(position, to));
+    return (from > 0 ? "…" : "") + snippet + (to < text.length ? "…" : "");
+}
 
-        allRecords.forEach(record => {
-            const linkedHubTitles = record.fields['Content hub']; 
-            if (Array.isArray(linkedHubTitles)) {
-                linkedHubTitles.forEach(primaryTitle => {
-                    const translatedHubFields = hubTranslationsMap[primaryTitle];
-                    if (translatedHubFields) {
-                        const translatedTitle = translatedHubFields[titleKey] || translatedHubFields.TitleEN;
-                        if (translatedTitle) {
-                            contentHubs.add(translatedTitle);
-                        } else {
-                            console.warn(`[WARN] No translated title for primary hub: ${primaryTitle} in lang ${lang}.`);
-                        }
-                    } else {
-                        console.warn(`[WARN] No translated hub fields found in cache for primary title: ${primaryTitle}.`);
-                    }
-                });
-            }
+/**
+ * Helper: Scores a document against the query terms. Every term has to match some field;
+ * the score sums each term's best weighted match. Returns null when the document does not match,
+ * otherwise `{ score, highlights }` with snippets of the best matching fields.
+ */
+function matchSearchDocument(doc, terms, lang) {
+    let score = 0;
+    const fieldMatches = new Map();
+    for (const term of terms) {
+        let best = 0;
+        doc.searchFields.forEach(field => {
+            const matched = field.tokens.filter(t => scoreTermMatch(term, t.norm) > 0);
+            if (matched.length === 0) return;
+            const strength = Math.max(...matched.map(t => scoreTermMatch(term, t.norm)));
+            const weight = SEARCH_FIELD_WEIGHTS[field.name] * strength * (field.lang === lang ? SEARCH_LANGUAGE_BOOST : 1);
+            best = Math.max(best, weight);
+            const entry = fieldMatches.get(field) || { weight: 0, tokens: new Set() };
+            entry.weight = Math.max(entry.weight, weight);
+            matched.forEach(t => entry.tokens.add(t));
+            fieldMatches.set(field, entry);
         });
+        if (best === 0) return null;
+        score += best;
+    }
+
+    // Ten sam tekst w kilku językach (np. "Inflation" EN/FR) pokazujemy raz
+    const seenTexts = new Set();
+    const highlights = [...fieldMatches.entries()]
+        .sort((a, b) => b[1].weight - a[1].weight)
+        .filter(([field]) => !seenTexts.has(field.text) && seenTexts.add(field.text))
+        .slice(0, SEARCH_MAX_HIGHLIGHTS)
+        .map(([field, entry]) => ({
+            field: field.name,
+            language: LANGUAGE_TAGS[field.lang],
+            snippet: buildSearchSnippet(field.text, [...entry.tokens].sort((a, b) => a.start - b.start))
+        }));
+    return { score: Math.round(score * 1000) / 1000, highlights };
+}
 
-        const sortedContentHubs = Array.from(contentHubs).sort();
+/** Helper: Counts facet values ([{ value, count }], most frequent first). */
+function countFacet(values) {
+    const counts = new Map();
+    values.forEach(value => {
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
 
-        res.json({ count: sortedContentHubs.length, contentHubs: sortedContentHubs });
+/**
+ * Helper: Checks the `?country=`, `?category=` and `?contentHub=` filters against a search
+ * document. Values are compared by slug, so "labour-market" matches "Labour market".
+ */
+function matchesFacetFilters(doc, query) {
+    const values = { country: [doc.country], category: [doc.category], contentHub: doc.contentHubs };
+    // Kraj jak w /dataset/:country ("eu" → "European Union")
+    const wanted = name => slugify(name === "country" ? getCountryNameForFiltering(query[name]) : query[name]);
+    return Object.keys(values)
+        .filter(name => query[name])
+        .every(name => values[name].some(v => v && slugify(v) === wanted(name)));
+}
 
-    } catch (e) {
-        res.status(500).json({ error: e.toString() });
+/**
+ * Helper: Reads `?page=` and `?pageSize=` (1-based page). Throws ApiError(400) for invalid values.
+ */
+function parsePagination(query, { defaultPageSize = 20, maxPageSize = 100 } = {}) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? defaultPageSize : Number(query.pageSize);
+    if (!Number.isInteger(page) || page < 1) {
+        throw new ApiError(400, `Invalid "page" value "${query.page}". Use a positive integer.`);
     }
-});
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > maxPageSize) {
+        throw new ApiError(400, `Invalid "pageSize" value "${query.pageSize}". Use an integer between 1 and ${maxPageSize}.`);
+    }
+    return { page, pageSize, offset: (page - 1) * pageSize };
+}
 
-app.get("/data/:numericId", async (req, res) => {
-  const idParam = req.params.numericId;
-  
-  // Check if it's a division record (starts with 'd')
-  const isDivision = idParam.startsWith('d');
-  const numericId = isDivision ? parseInt(idParam.substring(1)) : parseInt(idParam);
-  
-  if (isNaN(numericId)) {
-      return res.status(400).json({ error: "Invalid ID. Please provide a valid numeric ID or 'd' + numeric ID for division records." });
+app.get("/search", async (req, res) => {
+  const lang = req.lang;
+  const q = String(req.query.q || "").trim();
+  const terms = [...new Set(tokenizeForSearch(q).map(t => t.norm))];
+  if (terms.length === 0) {
+    return res.status(400).json({ error: `Missing search query. Use e.g. /search?q=unemployment.` });
   }
 
-  const lang = (req.query.lang || "EN").toUpperCase();
-  const langSuffix = lang;
+  try {
+    const { page, pageSize, offset } = parsePagination(req.query);
+    const documents = await loadSearchDocuments();
 
-  const titleKey = `Title${langSuffix}`;
-  const descriptionKey = `Description${langSuffix}`;
-  const dataKey = `Data${langSuffix}`;
-  const aiCommentKey = `AIComment${langSuffix}`;
+    const matches = [];
+    documents.forEach(doc => {
+      if (!matchesFacetFilters(doc, req.query)) return;
+      const match = matchSearchDocument(doc, terms, lang);
+      if (match) matches.push({ doc, ...match });
+    });
+    matches.sort((a, b) => b.score - a.score || String(a.doc.id).localeCompare(String(b.doc.id)));
 
-  try {
-    let record = null;
-    let f = null;
-    
-    if (isDivision) {
-      // Fetch from Divisions table
-      const allDivisions = await loadAllDivisions();
-      
-      // Find division record by DataID
-      for (const divisionId in allDivisions) {
-        const divisionFields = allDivisions[divisionId];
-        if (divisionFields.DataID === numericId) {
-          record = { id: divisionId, fields: divisionFields };
-          f = divisionFields;
-          break;
-        }
-      }
-      
-      if (!record) {
-        return res.status(404).json({ error: `No division data for ID "d${numericId}"` });
-      }
-      
-      // For division records, try to get metadata from linked Poland record
-      const mainDataIds = f.Main_Data;
-      if (mainDataIds && Array.isArray(mainDataIds) && mainDataIds.length > 0) {
-        const mainDataId = mainDataIds[0]; // Get the first ID from the array
-        
-        // Fetch Poland records to find the linked one
-        let allPoland = [];
-        let offset = null;
-        do {
-          const params = { pageSize: 100, offset };
-          const r = await axios.get(
-            `https://api.airtable.com/v0/${BASE}/${MAIN}`,
-            { headers: { Authorization: `Bearer ${KEY}` }, params }
-          );
-          allPoland.push(...r.data.records);
-          offset = r.data.offset;
-        } while (offset);
-        const linkedPolandRecord = allPoland.find(r => r.id === mainDataId);
-        if (linkedPolandRecord) {
-          const polandFields = linkedPolandRecord.fields;
-          f[descriptionKey] = polandFields[descriptionKey] || polandFields.DescriptionEN || f[descriptionKey];
-          f.UpdateFrequency = polandFields.UpdateFrequency || f.UpdateFrequency;
-          f.UpdatedThere = polandFields.UpdatedThere || f.UpdatedThere;
-          f.NextUpdateTime = polandFields.NextUpdateTime || f.NextUpdateTime;
-          // Get SourceName and Unit from Poland record - try multiple possible field names
-          const possibleSourceNameFields = [
-            polandFields[`Source Name${langSuffix}`],
-            polandFields["Source NameEN"],
-            polandFields.SourceName,
-            polandFields.Source,
-            polandFields["Source Name"],
-            polandFields["SourceName"],
-            polandFields["Source name"],
-            polandFields["sourceName"],
-            polandFields["source_name"]
-          ];
-          f.sourceName = possibleSourceNameFields.find(field => field) || f.sourceName;
-          const possibleUnitFields = [
-            polandFields[`Unit${langSuffix}`],
-            polandFields.UnitEN,
-            polandFields.Unit,
-            polandFields["Unit"],
-            polandFields["unit"]
-          ];
-          f.unit = possibleUnitFields.find(field => field) || f.unit;
-
-          // NEW: Fetch Metadata from linked Poland record and use its Source NameXX and UnitXX
-          let polandMetadataFields = {};
-          const polandMetadataIds = polandFields.Metadata || [];
-          if (Array.isArray(polandMetadataIds) && polandMetadataIds.length > 0) {
-            const polandMetadataId = polandMetadataIds[0];
-            try {
-              const metaResp = await axios.get(
-                `https://api.airtable.com/v0/${BASE}/${META}/${polandMetadataId}`,
-                { headers: { Authorization: `Bearer ${KEY}` } }
-              );
-              polandMetadataFields = metaResp.data.fields;
-            } catch (e) {
-              console.error(`[ERROR] Failed to fetch metadata for Poland record's Metadata ID ${polandMetadataId}:`, e.message);
-            }
-          }
-          // Store for later use in meta assignment
-          f._polandMetadataFields = polandMetadataFields;
-          const langFields = {};
-          for (const lang of LANGUAGES) {
-            langFields[`Source Name${lang}`] = f._polandMetadataFields[`Source Name${lang}`];
-            langFields[`Unit${lang}`] = f._polandMetadataFields[`Unit${lang}`];
-          }
-        } else {
-          console.log(`[DEBUG:/data/:id] No Poland record found for Main_Data ID: ${mainDataId}`);
-        }
-      } else {
-        console.log(`[DEBUG:/data/:id] Division record ${f.DataID || record.id} has no Main_Data field or it's empty`);
-      }
-    } else {
-      // Fetch from Poland table
-      const filterFormula = `{DataID} = ${numericId}`;
-      
-      const mainResp = await axios.get(
-        `https://api.airtable.com/v0/${BASE}/${MAIN}`, {
-          headers: { Authorization: `Bearer ${KEY}` },
-          params: { filterByFormula: filterFormula }
-        }
-      );
+    const results = matches.slice(offset, offset + pageSize).map(({ doc, score, highlights }) => ({
+      id: doc.id,
+      type: doc.type,
+      title: pickLocalized(doc.fields, "Title", lang) || doc.fields.Title || "",
+      description: pickLocalized(doc.fields, "Description", lang) || "",
+      country: doc.country,
+      category: doc.category,
+      contentHubs: doc.contentHubs,
+      score,
+      highlights
+    }));
 
-      record = mainResp.data.records[0];
-      if (!record) {
-        return res.status(404).json({ error: `No data for ID "${numericId}"` });
+    res.json({
+      query: q,
+      total: matches.length,
+      page,
+      pageSize,
+      results,
+      facets: {
+        country: countFacet(matches.map(m => m.doc.country)),
+        category: countFacet(matches.map(m => m.doc.category)),
+        contentHub: countFacet(matches.flatMap(m => m.doc.contentHubs))
       }
-      f = record.fields;
-    }
-    
-    const meta = {
-      title: Array.isArray(f[titleKey]) ? f[titleKey][0] : (f[titleKey] || (Array.isArray(f.Title) ? f.Title[0] : f.Title) || f.TitleEN || ""),
-      description: f[descriptionKey] || f.DescriptionEN || "",
-      updateFrequency: f.UpdateFrequency || "",
-      lastUpdate: f.UpdatedThere || "",
-      nextUpdateTime: f.NextUpdateTime || "",
-      category: undefined,
-      contentHub: undefined,
-      summary: undefined,
-      sourceName: undefined,
-      unit: undefined
-    };
+    });
+  } catch (e) {
+    if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.toString() });
+  }
+});
 
-    let metadataFields = {};
-    const metadataIds = f.Metadata || [];
-    if (Array.isArray(metadataIds) && metadataIds.length > 0) {
-      const metadataId = metadataIds[0];
-      try {
-        const metaResp = await axios.get(
-          `https://api.airtable.com/v0/${BASE}/${META}/${metadataId}`, {
-            headers: { Authorization: `Bearer ${KEY}` }
-          }
-        );
-        metadataFields = metaResp.data.fields;
-      } catch (e) {
-        console.error(`[ERROR] Failed to fetch metadata for ID ${metadataId}:`, e.message);
-      }
-    }
+// --- POKRYCIE TŁUMACZEŃ (raport dla zespołu lokalizacji) ---
+// Pola tłumaczone w każdym z LANGUAGES i rekord, z którego pochodzą: zbiór/dywizja, komentarz albo metadane
+const TRANSLATION_FIELDS = [
+    { name: "Title", source: "record" },
+    { name: "Description", source: "record" },
+    { name: "Data", source: "record" },
+    { name: "AIComment", source: "comment" },
+    { name: "Definitions", source: "metadata" },
+    { name: "Source Name", source: "metadata" },
+    { name: "Unit", source: "metadata" }
+];
 
-    const catMap = await loadAllCategories();
-    const allComments = await loadAllComments(); // Wczytaj wszystkie komentarze
-    const categorySelectIds = f.CategorySelect || [];
-    const contentHubValue = f['Content hub'];
-    
-    // --- KLUCZOWE MIEJSCE DO DEBUGOWANIA KOMENTARZY ---
-    let aiCommentValue = null;
-    
-    if (isDivision) {
-      // For Division records, get AIComment directly from the record
-      aiCommentValue = f[aiCommentKey] || f.AICommentEN;
-    } else {
-      // For Poland records, get AIComment from linked Comment record
-      const linkedCommentRecordIds = f.Comment; 
-
-      if (Array.isArray(linkedCommentRecordIds) && linkedCommentRecordIds.length > 0) {
-          const commentRecordId = linkedCommentRecordIds[0]; // Bierzemy pierwszy ID
-          const commentFields = allComments[commentRecordId]; // Pobierz z cache'u
-          if (commentFields) {
-              aiCommentValue = commentFields[aiCommentKey] || commentFields.AICommentEN;
-          }
-      }
+/**
+ * Helper: Reads `?language=` (comma-separated codes, e.g. "cs,sk,uk") into field suffixes.
+ * Defaults to every supported language; throws ApiError(400) for unsupported codes.
+ */
+function parseCoverageLanguages(query) {
+    if (!query.language) return LANGUAGES;
+    const codes = String(query.language).split(",").map(code => code.trim()).filter(Boolean);
+    const unsupported = codes.filter(code => !normalizeLanguage(code));
+    if (unsupported.length > 0) {
+        throw new ApiError(400, `Unsupported language "${unsupported[0]}". Use codes such as ${Object.values(LANGUAGE_TAGS).slice(0, 5).join(", ")}.`);
     }
-    // --- KONIEC KLUCZOWEGO MIEJSCA ---
+    return [...new Set(codes.map(normalizeLanguage))];
+}
 
-    if (Array.isArray(categorySelectIds) && categorySelectIds.length) {
-      const catFields = catMap[categorySelectIds[0]];
-      console.log('[DEBUG:/data/:numericId/meta] categorySelectIds:', categorySelectIds, 'catFields:', catFields);
-      if (catFields) {
-        const categorySecondaryKey = lang === "EN" ? "SecondaryEN" : `Secondary${lang}`;
-        meta.category = catFields[categorySecondaryKey] || catFields["SecondaryEN"] || null;
-        categorySet = true;
-      }
-    }
-    
-    if (contentHubValue && Array.isArray(contentHubValue) && contentHubValue.length > 0) {
-        meta.contentHub = contentHubValue.join(', ');
-    }
-    
-    if (aiCommentValue) {
-        meta.summary = aiCommentValue;
-    }
-    // Always set sourceName at the end to guarantee order
-    meta.sourceName = metadataFields[`Source Name${langSuffix}`] || metadataFields["Source NameEN"] || f.sourceName || "";
-    // Always set unit at the end, using language-specific logic
-    meta.unit = metadataFields[`Unit${langSuffix}`] || metadataFields.UnitEN || f[`Unit${langSuffix}`] || f.UnitEN || f.unit || "";
+/**
+ * Helper: Returns the record a translated field is read from: divisions keep their AI comment
+ * on the division itself, main records in the linked Comment record.
+ */
+function getTranslationSource(doc, field) {
+    if (field.source === "metadata") return doc.metadata;
+    if (field.source === "comment") return doc.type === "division" ? doc.fields : doc.comment;
+    return doc.fields;
+}
 
-    const researchNameValue = metadataFields[`ResearchName${langSuffix}`] || metadataFields.ResearchNameEN;
-    if (researchNameValue) meta.researchName = researchNameValue;
-    
-    const researchPurposeValue = metadataFields[`ResearchPurpose${langSuffix}`] || metadataFields.ResearchPurposeEN;
-    if (researchPurposeValue) meta.researchPurpose = researchPurposeValue;
-    
-    const definitionsValue = metadataFields[`Definitions${langSuffix}`] || metadataFields.DefinitionsEN;
-    if (definitionsValue) meta.definitions = definitionsValue;
-    
-    const methodologyValue = metadataFields[`Methodology${langSuffix}`] || metadataFields.MethodolologyEN;
-    if (methodologyValue) meta.methodology = methodologyValue;
-    
-    // Get sourceName from metadata (for Poland records) or from linked Poland record (for Division records)
-    let sourceNameValue = metadataFields[`Source Name${langSuffix}`] || metadataFields["Source NameEN"];
-    if (isDivision) {
-        // For Division records, use the sourceName we got from linked Poland record
-        sourceNameValue = f.sourceName || sourceNameValue;
-    }
-    if (sourceNameValue) meta.sourceName = sourceNameValue;
-    
-    // Get unit from metadata (for Poland records) or from linked Poland record (for Division records)
-    let unitValue = metadataFields[`Unit${langSuffix}`] || metadataFields.UnitEN;
-    if (isDivision) {
-        // For Division records, use the unit we got from linked Poland record
-        unitValue = f.unit || unitValue;
-    }
-    if (unitValue) meta.unit = unitValue;
-    
-    const data = [];
-    const headers = f[dataKey] || f.DataEN;
-    if (f.Data && headers) {
-      let headNames = headers.split(";").map(s => s.trim());
-      f.Data.split("\n").forEach(line => {
-        const vals = line.split(";").map(s => s.trim());
-        if (vals.length === headNames.length) {
-          const row = {};
-          headNames.forEach((h, i) => {
-            const v = vals[i];
-            row[h === "Year" ? "year" : h] = isNaN(v) ? v : parseFloat(v);
-          });
-          data.push(row);
-        }
-      });
-    }
+/**
+ * Helper: Compares the column count of every translated `Data*` header with the number of
+ * columns of the `Data` rows. Returns [{ language, headerColumns, dataColumns }] for mismatches.
+ */
+function findDataHeaderMismatches(fields, languages) {
+    const firstRow = String(fields.Data || "").split("\n").find(line => line.trim());
+    if (!firstRow) return [];
+    const dataColumns = firstRow.split(";").length;
+    return languages
+        .filter(lang => toSearchText(fields[`Data${lang}`]))
+        .map(lang => ({ language: LANGUAGE_TAGS[lang], headerColumns: fields[`Data${lang}`].split(";").length, dataColumns }))
+        .filter(m => m.headerColumns !== dataColumns);
+}
 
-    const translations = {};
-    LANGUAGES.forEach(l => {
-      ["Title", "Description", "Data", "AIComment"].forEach(prefix => {
-        const key = `${prefix}${l}`;
-        if (f[key]) translations[key] = f[key];
-      });
-      ["Definitions", "Source Name", "ResearchName", "ResearchPurpose", "Unit"].forEach(prefix => {
-          const key = `${prefix}${l}`;
-          if (metadataFields[key]) translations[key] = metadataFields[key];
-      });
+/**
+ * Helper: Describes the translations of one dataset or division: per field the languages that
+ * are translated, missing (no field) or empty (blank value), fields whose source record is not
+ * linked at all, mismatched `Data*` headers and the share of translated field/language pairs.
+ */
+function describeTranslationCoverage(doc, languages) {
+    const fields = {};
+    const unlinked = [];
+    let translatedCount = 0;
+    let expectedCount = 0;
+    TRANSLATION_FIELDS.forEach(field => {
+        const source = getTranslationSource(doc, field);
+        if (!source) {
+            unlinked.push(field.name);
+            return;
+        }
+        const entry = { translated: [], missing: [], empty: [] };
+        languages.forEach(lang => {
+            const value = source[`${field.name}${lang}`];
+            const bucket = value === undefined || value === null ? "missing" : toSearchText(value) ? "translated" : "empty";
+            entry[bucket].push(LANGUAGE_TAGS[lang]);
+        });
+        translatedCount += entry.translated.length;
+        expectedCount += languages.length;
+        fields[field.name] = entry;
     });
+    return {
+        fields,
+        unlinked,
+        dataHeaderMismatches: findDataHeaderMismatches(doc.fields, languages),
+        coverage: expectedCount > 0 ? Math.round((translatedCount / expectedCount) * 1000) / 1000 : 0
+    };
+}
 
-    if (isDivision && f._polandMetadataFields) {
-      meta.sourceName = f._polandMetadataFields[`Source Name${langSuffix}`]
-        || f._polandMetadataFields["Source NameEN"]
-        || f._polandMetadataFields["Source Name"]
-        || "";
-      meta.unit = f._polandMetadataFields[`Unit${langSuffix}`]
-        || f._polandMetadataFields.UnitEN
-        || f._polandMetadataFields.Unit
-        || "";
-    }
+/** Helper: Adds translated/missing/empty counts to a summary bucket. */
+function addCoverageCounts(bucket, entry) {
+    ["translated", "missing", "empty"].forEach(key => { bucket[key] += entry[key]; });
+}
 
-    res.json({ meta, data, translations });
-  } catch (e) {
-    res.status(500).json({ error: e.toString() });
-  }
+/** Helper: Finishes a summary bucket with its coverage (share of translated field/language pairs). */
+function withCoverageRatio(bucket) {
+    const all = bucket.translated + bucket.missing + bucket.empty;
+    return { ...bucket, coverage: all > 0 ? Math.round((bucket.translated / all) * 1000) / 1000 : 0 };
+}
+
+app.get("/translations/coverage", async (req, res) => {
+    const lang = req.lang;
+    try {
+        const languages = parseCoverageLanguages(req.query);
+        const { page, pageSize, offset } = parsePagination(req.query);
+        const documents = (await loadSearchDocuments()).filter(doc => matchesFacetFilters(doc, req.query));
+
+        const reports = documents.map(doc => ({ doc, ...describeTranslationCoverage(doc, languages) }));
+        // Najsłabiej przetłumaczone zbiory na początku
+        reports.sort((a, b) => a.coverage - b.coverage || String(a.doc.id).localeCompare(String(b.doc.id)));
+
+        const emptyCounts = () => ({ translated: 0, missing: 0, empty: 0 });
+        const byField = Object.fromEntries(TRANSLATION_FIELDS.map(field => [field.name, emptyCounts()]));
+        const byLanguage = Object.fromEntries(languages.map(l => [LANGUAGE_TAGS[l], emptyCounts()]));
+        reports.forEach(report => {
+            Object.entries(report.fields).forEach(([name, entry]) => {
+                addCoverageCounts(byField[name], { translated: entry.translated.length, missing: entry.missing.length, empty: entry.empty.length });
+                ["translated", "missing", "empty"].forEach(key => entry[key].forEach(tag => { byLanguage[tag][key] += 1; }));
+            });
+        });
+
+        res.json({
+            languages: languages.map(l => LANGUAGE_TAGS[l]),
+            summary: {
+                datasets: reports.length,
+                complete: reports.filter(r => r.coverage === 1 && r.unlinked.length === 0).length,
+                dataHeaderMismatches: reports.reduce((sum, r) => sum + r.dataHeaderMismatches.length, 0),
+                fields: Object.fromEntries(Object.entries(byField).map(([name, bucket]) => [name, withCoverageRatio(bucket)])),
+                languages: Object.fromEntries(Object.entries(byLanguage).map(([tag, bucket]) => [tag, withCoverageRatio(bucket)]))
+            },
+            total: reports.length,
+            page,
+            pageSize,
+            datasets: reports.slice(offset, offset + pageSize).map(({ doc, ...report }) => ({
+                id: doc.id,
+                type: doc.type,
+                title: pickLocalized(doc.fields, "Title", lang) || doc.fields.Title || "",
+                country: doc.country,
+                category: doc.category,
+                contentHubs: doc.contentHubs,
+                ...report
+            }))
+        });
+    } catch (e) {
+        if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+        res.status(e.status || 500).json({ error: e.toString() });
+    }
 });
 
 // --- AUTOMATYCZNE ODŚWIEŻANIE CACHE CO 10 MINUT ---
 const AUTO_REFRESH_INTERVAL_MS = 10 * 60 * 1000; // 10 minut
 
-async function refreshAllCaches() {
-    try {
-        categoryMapCache = null;
-        contentHubsCache = null;
-        commentMapCache = null;
-        divisionsCache = null;
-        cacheLastLoaded = 0;
-        // Wymuś natychmiastowe załadowanie cache (opcjonalnie)
-        await loadAllCategories();
-        await loadAllContentHubs();
-        await loadAllComments();
-        await loadAllDivisions();
-        console.log(`[AUTO-REFRESH] Cache refreshed at ${new Date().toISOString()}`);
-    } catch (e) {
-        console.error("[AUTO-REFRESH] Failed to refresh cache:", e);
+/**
+ * Helper: Reloads the table caches one by one. By default only the tables past their own TTL;
+ * `all` also reloads the fresh ones (used at startup, after restoring the snapshot).
+ */
+async function refreshAllCaches({ all = false } = {}) {
+    const endTimer = metrics.cacheRefreshDuration.startTimer();
+    // Przeładuj osobno każdą tabelę, której dane przekroczyły własny TTL (CACHE_TTL_*_MS);
+    // do czasu załadowania serwowane są poprzednie dane, a błąd jednej tabeli nie blokuje pozostałych
+    for (const cache of Object.values(tableCaches)) {
+        if (!all && cache.isFresh()) continue;
+        try {
+            await cache.reload();
+        } catch (e) {
+            log.error("auto-refresh failed", { table: cache.name, err: e });
+        }
     }
+    endTimer();
+    log.info("auto-refresh finished");
 }
 
 // Uruchom automatyczne odświeżanie co 10 minut
-setInterval(refreshAllCaches, AUTO_REFRESH_INTERVAL_MS);
+setInterval(() => refreshAllCaches(), AUTO_REFRESH_INTERVAL_MS);
 
-// Opcjonalnie: odśwież cache od razu po starcie serwera
-refreshAllCaches();
+// Start z ostatniego zrzutu cache (jeśli jest), a następnie odśwież wszystkie tabele w tle
+restoreCacheSnapshot();
+refreshAllCaches({ all: true });
 
-app.listen(PORT, () => console.log(`Unified API is running on port ${PORT}`)); 
\ No newline at end of file
+app.listen(PORT, () => log.info("Unified API is running", { port: Number(PORT), dataSource: dataSource.name, logLevel: LOG_LEVEL })); 
\ No newline at end of file